@@ -0,0 +1,123 @@
+/* Benchmark of large collection stores.
+ *
+ * Run with `npm run bench` (builds the package first), or
+ * `node bench/collSpecable.bench.js [rows...]` on an existing build.
+ *
+ * For each number of rows, a store of a spread array of objects is created
+ * and measured while subscribed. Each line reports the time taken by an
+ * operation and the number of statuses published to the subscriber. */
+
+const { performance } = require("perf_hooks");
+const specma = require("specma");
+const { configure, specable } = require("../dist/svelte-specma.js");
+
+configure(specma);
+
+const DEFAULT_SIZES = [100, 1000, 5000];
+
+const spec = {
+  rows: specma.spread({
+    name: (v) => !!v || "required",
+    quantity: (v) => v > 0 || "must be positive",
+  }),
+};
+
+const createRows = (count, quantity = 1) =>
+  Array.from({ length: count }, (_, i) => ({ name: `Row ${i}`, quantity }));
+
+/* Wait for async validations to settle. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function measure(label, size, fn) {
+  const start = performance.now();
+  const { publishes } = await fn();
+  const ms = performance.now() - start;
+  console.log(
+    [
+      label.padEnd(24),
+      String(size).padStart(6),
+      `${ms.toFixed(1).padStart(10)} ms`,
+      `${String(publishes).padStart(8)} publishes`,
+    ].join(" ")
+  );
+}
+
+async function run(size) {
+  let form;
+  let publishes = 0;
+  let unsubscribe;
+
+  /* Count publishes made during `fn`. */
+  const counting = async (fn) => {
+    publishes = 0;
+    await fn();
+    await settle();
+    return { publishes };
+  };
+
+  await measure("create and subscribe", size, () =>
+    counting(() => {
+      form = specable({ rows: createRows(size) }, { spec });
+      unsubscribe = form.subscribe(() => {
+        publishes += 1;
+      });
+    })
+  );
+
+  const rows = form.getChild(["rows"]);
+
+  await measure("set all rows", size, () =>
+    counting(() => form.set({ rows: createRows(size, 2) }))
+  );
+
+  await measure("setIn one row", size, () =>
+    counting(() => form.setIn(["rows", size - 1, "quantity"], 0))
+  );
+
+  /* Calls made in the same tick are published once. */
+  await measure("setIn ten rows", size, () =>
+    counting(() => {
+      for (let i = 0; i < 10; i += 1) {
+        form.setIn(["rows", i, "quantity"], 3);
+      }
+    })
+  );
+
+  /* As a keystroke in a field bound by `register` or `form`. */
+  await measure("set one field", size, () =>
+    counting(() => form.getChild(["rows", 0, "name"]).set("Typed"))
+  );
+
+  await measure("activate", size, () => counting(() => form.activate()));
+
+  await measure("setErrors", size, () =>
+    counting(() =>
+      form.setErrors(
+        Object.fromEntries(
+          createRows(size).map((_, i) => [`rows.${i}.name`, "taken"])
+        )
+      )
+    )
+  );
+
+  await measure("move first row to end", size, () =>
+    counting(() => rows.move(0, -1))
+  );
+
+  await measure("append row", size, () =>
+    counting(() => rows.append({ name: "New", quantity: 1 }))
+  );
+
+  await measure("reset", size, () => counting(() => form.reset()));
+
+  unsubscribe();
+}
+
+async function main() {
+  const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+  for (const size of sizes.length > 0 ? sizes : DEFAULT_SIZES) {
+    await run(size);
+  }
+}
+
+main();
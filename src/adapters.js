@@ -0,0 +1,150 @@
+import { getSettings } from "./configure";
+import { assocPath, equals, isFunc } from "./util";
+
+/**
+ * adapters.js
+ *
+ * Validation of specs from other engines than Specma.
+ *
+ * An adapter is an object with:
+ * - test(spec): true if the spec is handled by the adapter
+ * - validate(spec, value): list of issues `{ message, path }` (empty or
+ *   undefined when valid), or a promise of it. `path` is made of keys from
+ *   `value` (or `{ key }` objects), and defaults to the value itself.
+ *
+ * Such a spec (a "schema") validates the whole value of the store defining
+ * it. The schema is passed down to its children as "schema nodes": each
+ * child validates the value of the schema store and keeps the issues at its
+ * own path. Validations of a same value are shared by the whole subtree.
+ *
+ * Adapters are given to a store with its `adapter` option, or detected
+ * among the configured `adapters`, then the Standard Schema one. Specs
+ * without adapter are Specma specs.
+ */
+
+/**
+ * Key tagging schema nodes.
+ * @type {symbol}
+ */
+const SCHEMA_NODE = Symbol("schemaNode");
+
+const isPromise = (x) => !!x && isFunc(x.then);
+
+/**
+ * Adapter for Standard Schema (https://standardschema.dev) specs: objects
+ * with a `~standard.validate` function (e.g. Zod, Valibot, ArkType).
+ */
+export const standardSchemaAdapter = {
+  test: (spec) =>
+    !!spec && !!spec["~standard"] && isFunc(spec["~standard"].validate),
+
+  validate(spec, value) {
+    const result = spec["~standard"].validate(value);
+    return isPromise(result)
+      ? result.then(({ issues }) => issues)
+      : result.issues;
+  },
+};
+
+/* Issues paths are arrays of keys, `{ key }` segments included. */
+function normalizeIssues(issues) {
+  return (issues || []).map(({ message, path = [] }) => ({
+    message,
+    path: path.map((segment) =>
+      segment && typeof segment === "object" ? segment.key : segment
+    ),
+  }));
+}
+
+/**
+ * Get the adapter handling a spec: `adapter` if defined, otherwise the
+ * first configured adapter whose `test` passes.
+ * @param {any} spec
+ * @param {Object} [adapter]
+ * @returns {Object|undefined}
+ */
+function findAdapter(spec, adapter) {
+  if (spec === undefined || spec === null) return undefined;
+  if (adapter) return adapter;
+  return [...(getSettings().adapters || []), standardSchemaAdapter].find((a) =>
+    a.test(spec)
+  );
+}
+
+/**
+ * Get the schema node of a spec, creating a root one when it is
+ * handled by an adapter. Undefined for Specma specs.
+ * @param {any} spec
+ * @param {Object} [adapter]
+ * @returns {Object|undefined}
+ */
+export function toSchemaNode(spec, adapter) {
+  if (spec && spec[SCHEMA_NODE]) return spec;
+
+  const found = findAdapter(spec, adapter);
+  if (!found) return undefined;
+
+  return {
+    [SCHEMA_NODE]: true,
+    adapter: found,
+    cache: {},
+    getPath: () => [],
+    schema: spec,
+  };
+}
+
+/**
+ * Schema node of a child. Its key is read at validation time, since
+ * array children change index when moved.
+ * @param {Object} node
+ * @param {Function} getKey - () => current key of the child
+ * @returns {Object}
+ */
+export function childSchemaNode(node, getKey) {
+  return { ...node, getPath: () => [...node.getPath(), getKey()] };
+}
+
+/**
+ * Validate the value of the schema store, reusing the last validation
+ * if the value is the same.
+ */
+function validateSchema({ adapter, cache, schema }, value) {
+  if ("issues" in cache && equals(cache.value, value)) return cache.issues;
+  const issues = adapter.validate(schema, value);
+  cache.value = value;
+  cache.issues = isPromise(issues)
+    ? issues.then(normalizeIssues)
+    : normalizeIssues(issues);
+  return cache.issues;
+}
+
+/**
+ * Create the predicate of a schema node, failing with the message of the
+ * first issue at or below its path that `isOwnIssue` keeps.
+ * @param {Object} node
+ * @param {Function} [isOwnIssue] - (pathSinceNode) => boolean
+ * @returns {Function} (value, getFrom) => true | message | Promise
+ */
+export function schemaPred(node, isOwnIssue = () => true) {
+  return function validateSchemaNode(value, getFrom) {
+    const path = node.getPath();
+    /* Read the value of the schema store, with this value up to date. */
+    const schemaValue =
+      path.length > 0
+        ? assocPath(path, value, getFrom("../".repeat(path.length)))
+        : value;
+
+    const toAnswer = (issues) => {
+      const own = issues.find(
+        (issue) =>
+          issue.path.length >= path.length &&
+          path.every((key, i) => String(issue.path[i]) === String(key)) &&
+          isOwnIssue(issue.path.slice(path.length))
+      );
+      return !own || own.message;
+    };
+
+    const issues = validateSchema(node, schemaValue);
+    return isPromise(issues) ? issues.then(toAnswer) : toAnswer(issues);
+  };
+}
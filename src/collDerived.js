@@ -39,13 +39,14 @@ function deriveState(coll) {
  *       should return the derived value. If fn.length >= 2 it is treated as
  *       asynchronous and receives a second `set` callback to update the result.
  * - initialValue: optional initial value for the derived store
+ * - options: batching options of `flexDerived`
  *
  * Returns an object with:
  * - subscribe(fn): subscribe to derived values
  * - set(newColl): replace the tracked collection so derived subscriptions
  *                  will follow the new set of stores
  */
-function collDerived(initialColl, fn = identity, initialValue) {
+function collDerived(initialColl, fn = identity, initialValue, options) {
   let state = deriveState(initialColl);
 
   /* The callback passed to `flexDerived` can have arity 1 or 2.
@@ -64,7 +65,8 @@ function collDerived(initialColl, fn = identity, initialValue) {
     auto
       ? ($stores) => fn(index$stores($stores))
       : ($stores, _set) => fn(index$stores($stores), _set),
-    initialValue
+    initialValue,
+    options
   );
 
   function set(newColl) {
@@ -1,19 +1,35 @@
-import { get as getStoreValue, writable } from "svelte/store";
+import { get as getStoreValue, readable, writable } from "svelte/store";
+import { childSchemaNode, schemaPred, toSchemaNode } from "./adapters";
 import collDerived from "./collDerived";
-import flexDerived from "./flexDerived";
+import { BATCHED_METHODS } from "./constants";
+import flexDerived, { batchMethods } from "./flexDerived";
+import createHistory, { startOver } from "./history";
+import { appendPointer, idsOps, valueOp } from "./patch";
 import predSpecable from "./predSpecable";
+import selectSlice from "./select";
 import {
+  assoc,
+  assocPath,
+  dissoc,
+  dissocPath,
   entries,
+  equals,
   fromEntries,
   genRandomId,
   get,
+  getPath,
   isColl,
+  isFunc,
+  isStore,
   keys,
   merge,
+  toPath,
+  toCollType,
+  toPointer,
   typeOf,
   values,
 } from "./util";
-import { specma, ensureConfigured } from "./configure";
+import { ensureConfigured, getSpecma } from "./configure";
 
 /**
  * collSpecable
@@ -28,40 +44,80 @@ import { specma, ensureConfigured } from "./configure";
  * - Keep an aggregate derived value that merges children values with a base
  *   collection value (supports "spread" semantics).
  * - Provide manipulation helpers: add, remove, set, reset, update, activate, submit.
+ * - Record value changes of the whole tree for undo/redo when it is the root.
  * - Produce a Svelte-compatible subscribe() that emits the aggregated status.
  *
  * Parameters:
  * - initialValue: the initial collection value (array/object/Map or undefined)
  * - options: configuration object:
- *   - changePred, fields, getId, id, required, spec, onSubmit
- * - _extra: internal helpers (used for recursion; supplies specable and getAncestor)
+ *   - adapter, allReasons, changePred, debounce, fields, getId, history, id, required,
+ *     revalidateOn, spec, throttle, validateOn, warn, when, onSubmit
+ *   A `when` function in a `fields` node is the condition enabling that
+ *   field (see predSpecable), not a child field.
+ *   A `spec` handled by an adapter (e.g. a Standard Schema) validates the
+ *   whole value: each child shows the issues at its path, and the
+ *   collection the ones without child (see adapters.js).
+ * - _extra: internal helpers (used for recursion; supplies specable,
+ *           getAncestor and the shared history)
  *
  * Returns an object with:
  * - id, isRequired, spec, stores
  * - activate(), add(), getChild(), getChildren(), remove(), reset(), set(), update()
+ * - getIn(), setIn(), updateIn(), deleteIn(), activateIn() (by path)
+ * - validate(), validateIn() (dry runs of activate(), activateIn())
+ * - setError(), setErrors(), clearErrors()
+ * - blur(), touch(), visit() (interaction flags)
+ * - undo(), redo(), transaction(fn)
+ * - snapshot(), restore(snapshot) (serializable state of the whole tree)
+ * - getChanges(), getPatch() (changes from the initial value)
+ * - select(path, fn) (readable store of a subtree)
+ * - for arrays: insert(), append(), prepend(), move(), swap(), removeAt()
  * - children: { subscribe } (stores of children)
  * - submit(), subscribe(fn) (subscribe to aggregated status)
  */
 export default function collSpecable(
   initialValue,
-  { changePred, fields, getId, id, required, spec, onSubmit } = {},
+  {
+    adapter,
+    allReasons,
+    changePred,
+    debounce,
+    fields,
+    getId,
+    history: historyOption,
+    id,
+    required,
+    revalidateOn,
+    spec,
+    throttle,
+    validateOn,
+    warn,
+    when,
+    onSubmit,
+  } = {},
   _extra = {}
 ) {
   ensureConfigured();
-  const { getPred, getSpread, isOpt } = specma;
+  const { getPred, getSpread, isOpt } = getSpecma();
+
+  const schema = toSchemaNode(spec, adapter);
+  const collSpec = schema ? undefined : spec;
+  const collWarn = toSchemaNode(warn, adapter) ? undefined : warn;
 
   let collValue = initialValue; // For static properties
   let isUndef = collValue === undefined;
 
   const { getAncestor } = _extra;
-  const collDefiner = [fields, spec, initialValue].find(isColl);
-  const collType = typeOf(collDefiner);
+  const isHistoryOwner = !_extra.history;
+  const history = _extra.history || createHistory(historyOption);
+  const collType = toCollType(initialValue, [fields, collSpec]);
   const isRequired = required && !isOpt(required);
   const spreadGetId = getSpread(getId);
-  const spreadSpec = getSpread(spec);
+  const spreadSpec = getSpread(collSpec);
   const spreadFields = getSpread(fields);
   const spreadRequired = getSpread(required);
   const isSpread =
+    schema ||
     spreadSpec ||
     spreadFields ||
     spreadRequired ||
@@ -72,7 +128,7 @@ export default function collSpecable(
   const allKeys = new Set(
     fields
       ? [...keys(fields), ...valueKeys]
-      : [...keys(spec), ...keys(required), ...valueKeys]
+      : [...keys(collSpec), ...keys(required), ...keys(collWarn), ...valueKeys]
   );
 
   const ownGetId = getPred(getId);
@@ -82,39 +138,93 @@ export default function collSpecable(
     return k;
   };
 
+  /* Schema issues without child store are the collection ones. */
+  const isOwnIssue = ([key]) =>
+    key === undefined || get(key, childrenStores) === undefined;
+
+  /* Current key of a child, array children being moved. */
+  const keyOf = (subId, key) => {
+    if (collType !== "array") return key;
+    const index = values(childrenStores).findIndex(
+      (store) => store.id === subId
+    );
+    return index < 0 ? key : index;
+  };
+
   const ownSpecable = predSpecable(
     initialValue,
     {
+      adapter,
+      allReasons: ownSetting(allReasons),
       changePred: getPred(changePred),
+      debounce: ownSetting(debounce),
       id,
       required: isRequired,
-      spec,
+      revalidateOn: ownSetting(revalidateOn),
+      spec: schema ? schemaPred(schema, isOwnIssue) : spec,
+      throttle: ownSetting(throttle),
+      validateOn: ownSetting(validateOn),
+      warn,
+      when,
     },
-    _extra
+    /* Own value follows children values, which are already recorded. */
+    { ..._extra, history: undefined }
   );
 
-  const createChildEntry = (key, val) => {
+  const createChildEntry = (key, val, subId = idGen(val, key)) => {
+    /* Existing stores given in `fields` are mounted as they are. */
+    const fieldsNode = get(key, fields);
+    if (isStore(fieldsNode)) {
+      if (!isFunc(fieldsNode._capture)) {
+        throw new TypeError(`'fields.${key}' must be a specable store`);
+      }
+      const mounted = mountStore(fieldsNode, subId, {
+        parent: ownSpecable,
+        key,
+      });
+      fieldsNode._mountHistory(history);
+      return [key, mounted];
+    }
+
+    const subAllReasons = subSetting(key, allReasons);
     const subChangePred = get(key, changePred) || getSpread(changePred);
+    const subDebounce = subSetting(key, debounce);
+    const subRevalidateOn = subSetting(key, revalidateOn);
+    const subThrottle = subSetting(key, throttle);
+    const subValidateOn = subSetting(key, validateOn);
     const subVal = val;
-    const subSpec = get(key, spec) || spreadSpec;
+    const subSpec = schema
+      ? childSchemaNode(schema, () => keyOf(subId, key))
+      : get(key, collSpec) || spreadSpec;
+    const subWarn = get(key, collWarn) || getSpread(collWarn);
     const subGetId = get(key, getId) || spreadGetId;
-    const subId = idGen(subVal, key);
-    const subFields = get(key, fields) || spreadFields;
+    const { fields: subFields, when: subWhen } = splitWhen(
+      get(key, fields) || spreadFields
+    );
     const subRequired = get(key, required) || spreadRequired;
 
     const subStore = _extra.specable(
       subVal,
       {
+        allReasons: subAllReasons,
         spec: subSpec,
         changePred: subChangePred,
+        debounce: subDebounce,
         id: subId,
         getId: subGetId,
         fields: subFields,
         required: subRequired,
+        revalidateOn: subRevalidateOn,
+        throttle: subThrottle,
+        validateOn: subValidateOn,
+        warn: subWarn,
+        when: subWhen,
       },
       {
         getAncestor: (n) =>
           n <= 1 || !getAncestor ? ownSpecable : getAncestor(n - 1),
+        history,
+        path: [...(_extra.path || []), subId],
       }
     );
 
@@ -128,59 +238,112 @@ export default function collSpecable(
     collType
   );
   const children = writable(childrenStores);
+  const childrenIds = () => values(childrenStores).map((store) => store.id);
+  /* Children ids when the initial value was set, to patch arrays. */
+  let initialIds = childrenIds();
   const submitting = writable(false);
 
-  const derivedValue = collDerived(childrenStores, ($childrenStores) => {
+  /* Disabled children are left out of the value. */
+  function combineValue(childrenEntries, isEnabledEntry) {
+    const enabledEntries = childrenEntries.filter(isEnabledEntry);
+    const childrenValue = fromEntries(enabledEntries, collType);
+    if (isSpread) return childrenValue;
+
+    return childrenEntries
+      .filter((entry) => !isEnabledEntry(entry))
+      .reduce(
+        (acc, [key]) => dissoc(key, acc),
+        merge(collValue, childrenValue)
+      );
+  }
+
+  /* Depth of the store in its tree. Batched changes are computed from the
+   * deepest stores, the value of a store before its status. Mounted
+   * stores have their own depth: their parents are made shallower. */
+  const depth = Math.min(
+    (_extra.path || []).length,
+    ...values(childrenStores)
+      .filter((store) => store._depth !== undefined)
+      .map((store) => store._depth - 1)
+  );
+
+  function combineChildrenValues($childrenStores) {
     if (isUndef) return undefined;
 
-    const $childrenEntries = entries($childrenStores);
-    const $childrenValues = $childrenEntries.map(([key, state]) => [
+    const $childrenValues = entries($childrenStores).map(([key, state]) => [
       key,
       state.value,
+      state.enabled,
     ]);
-    const childrenValue = fromEntries($childrenValues, collType);
-    const value = isSpread ? childrenValue : merge(collValue, childrenValue);
+    const value = combineValue(
+      $childrenValues,
+      ([, , isEnabled]) => isEnabled !== false
+    );
     isUndef = value === undefined;
     return value;
-  });
+  }
+
+  const derivedValue = collDerived(
+    childrenStores,
+    combineChildrenValues,
+    undefined,
+    { batched: true, depth: depth + 0.5 }
+  );
+
+  /* Only the root store publishes the history flags. */
+  const historyFlags = isHistoryOwner ? history : readable({});
 
   const aggregateStatusStores = () => [
     submitting,
+    historyFlags,
     ownSpecable,
     ...values(childrenStores),
   ];
 
-  const status = flexDerived(aggregateStatusStores(), ($statusStores) => {
-    const [$submitting, $ownSpecable, ...$children] = $statusStores;
+  const aggregateStatus = createStatusAggregator(id);
 
-    const combined = isUndef
-      ? $ownSpecable
-      : [$ownSpecable, ...$children].reduce(combineChildren);
+  function combineStatus($statusStores) {
+    const [$submitting, $history, $ownSpecable, ...$children] = $statusStores;
 
-    if (combined.active !== false) ownSpecable.activate();
-
-    const { value, error } = $ownSpecable;
-
-    const details = Object.fromEntries([
-      ["_", $ownSpecable],
-      ...(isUndef ? [] : $children.map((child) => [child.id, child])),
-    ]);
+    const { enabled, value, error, reasons, warning } = $ownSpecable;
+    const aggregated = aggregateStatus({
+      own: $ownSpecable,
+      children: isUndef ? [] : $children,
+      stores: childrenStores,
+      enabled,
+      isUndef,
+    });
+    const { combined } = aggregated;
 
-    const errors = detailsToErrors(details, id);
-    const collErrors = errors.filter(({ isColl }) => isColl);
+    if (combined.active !== false) ownSpecable.activate();
 
     return {
       ...combined,
+      enabled,
       id,
       initialValue: $ownSpecable.initialValue,
       value,
       error,
-      errors,
-      collErrors,
-      details,
+      reasons,
+      errors: aggregated.errors,
+      collErrors: aggregated.collErrors,
+      errorTree: aggregated.errorTree,
+      warning,
+      warnings: aggregated.warnings,
+      collWarnings: aggregated.collWarnings,
+      details: aggregated.details,
       submitting: $submitting,
+      ...$history,
     };
-  });
+  }
+
+  /* Changes of children made by a same method are combined once. */
+  const status = flexDerived(
+    aggregateStatusStores(),
+    combineStatus,
+    undefined,
+    { batched: true, depth }
+  );
 
   function setChildrenStores(newChildrenStores) {
     childrenStores = newChildrenStores;
@@ -215,17 +378,92 @@ export default function collSpecable(
     setChildrenStores(updatedStores);
   }
 
+  /* Replace array children stores by the result of `fn`,
+   * applied on a copy of them. Stores keep their identity. */
+  function spliceChildren(fn) {
+    history.transact(() => {
+      isUndef = false;
+      const stores = [...childrenStores];
+      fn(stores);
+      setChildrenStores(stores);
+    });
+  }
+
+  /* Negative indices count from the end, like `Array.prototype.at`. */
+  const clampIndex = (index, length, max = length - 1) =>
+    Math.min(Math.max(0, index < 0 ? length + index : index), max);
+
+  function insertChild(index, newValue) {
+    spliceChildren((stores) => {
+      const at = clampIndex(index, stores.length, stores.length);
+      const [, store] = createChildEntry(at, newValue);
+      stores.splice(at, 0, store);
+    });
+  }
+
+  /* Field-array operations, only defined on array collections. */
+  const arrayMethods = {
+    append(newValue) {
+      insertChild(childrenStores.length, newValue);
+      return this;
+    },
+
+    insert(index, newValue) {
+      insertChild(index, newValue);
+      return this;
+    },
+
+    move(from, to) {
+      spliceChildren((stores) => {
+        if (stores.length < 1) return;
+        const { length } = stores;
+        const [store] = stores.splice(clampIndex(from, length), 1);
+        stores.splice(clampIndex(to, length), 0, store);
+      });
+      return this;
+    },
+
+    prepend(newValue) {
+      insertChild(0, newValue);
+      return this;
+    },
+
+    removeAt(index) {
+      spliceChildren((stores) => {
+        if (stores.length < 1) return;
+        stores.splice(clampIndex(index, stores.length), 1);
+      });
+      return this;
+    },
+
+    swap(a, b) {
+      spliceChildren((stores) => {
+        if (stores.length < 1) return;
+        const { length } = stores;
+        const [i, j] = [clampIndex(a, length), clampIndex(b, length)];
+        [stores[i], stores[j]] = [stores[j], stores[i]];
+      });
+      return this;
+    },
+  };
+
   function setValue(coll, { partial = false, reset = false } = {}) {
     const setMethod = reset ? "reset" : "set";
     collValue = !reset && partial && !isSpread ? merge(collValue, coll) : coll;
     isUndef = collValue === undefined;
     ownSpecable[setMethod](collValue);
+    /* Static properties are part of the derived value: recompute it,
+     * so that it doesn't publish a stale value to new subscribers. */
+    if (!isSpread) derivedValue.set(childrenStores);
 
     const childrenEntries = entries(childrenStores);
 
+    /* Disabled children keep their value, unless given a new one. */
+    const isKept = (store) => !reset && !store._isEnabled();
+
     childrenEntries.forEach(([key, store]) => {
       const newValue = get(key, coll);
-      if (partial && newValue === undefined) return;
+      if ((partial || isKept(store)) && newValue === undefined) return;
       store[setMethod](newValue, partial);
     });
     if (!isSpread) return;
@@ -247,12 +485,346 @@ export default function collSpecable(
      * a collection value anymore (garbage collection). */
     const collKeys = keys(coll);
     const unusedIds = childrenEntries.reduce((acc, [key, childStore]) => {
-      return collKeys.includes(key) ? acc : [...acc, childStore.id];
+      return collKeys.includes(key) || isKept(childStore)
+        ? acc
+        : [...acc, childStore.id];
     }, []);
     removeChildrenById(unusedIds);
   }
 
+  /* Current value computed from children stores, without subscribing.
+   * Unless `onlyEnabled`, values of disabled children are included. */
+  function peekValue(onlyEnabled = false) {
+    if (isUndef) return undefined;
+    const childrenValues = entries(childrenStores).map(([key, store]) => [
+      key,
+      store.getIn([]),
+      store,
+    ]);
+    return combineValue(
+      childrenValues,
+      ([, , store]) => !onlyEnabled || store._isEnabled()
+    );
+  }
+
+  const enabledEntries = () =>
+    entries(childrenStores).filter(([, store]) => store._isEnabled());
+
+  const getInitialValue = () => ownSpecable.snapshot().initialValue;
+
+  /* Keys of the value that have no child store. */
+  const getStaticKeys = (value, initial) =>
+    Array.from(new Set([...keys(initial), ...keys(value)])).filter(
+      (key) => !get(key, childrenStores)
+    );
+
+  /* Children added to a spread collection since its initial value. */
+  const isNewChild = (key, initial) => isSpread && !keys(initial).includes(key);
+
+  /* Changed according to children `changePred`, or to own `changePred`
+   * if defined. Otherwise, own changes are the ones of static properties
+   * and of children added, removed or reordered.
+   * Disabled children are left out, as they are out of the value. */
+  function isChanged() {
+    if (enabledEntries().some(([, store]) => store._isChanged())) return true;
+
+    const value = peekValue(true);
+    const initial = getInitialValue();
+    if (getPred(changePred)) return ownSpecable._isChanged(value);
+    if (!isColl(value) || !isColl(initial)) return !equals(value, initial);
+    if (collType === "array") {
+      return !equals(
+        initialIds,
+        enabledEntries().map(([, store]) => store.id)
+      );
+    }
+
+    return (
+      enabledEntries().some(([key]) => isNewChild(key, initial)) ||
+      getStaticKeys(value, initial).some(
+        (key) => !equals(get(key, value), get(key, initial))
+      )
+    );
+  }
+
+  /* Changed subtree, by key. Arrays are returned whole and keys
+   * removed from a spread collection are set to undefined. */
+  function getChanges() {
+    if (!isChanged()) return undefined;
+    const value = peekValue(true);
+    const initial = getInitialValue();
+    if (collType === "array" || !isColl(value) || !isColl(initial)) {
+      return value;
+    }
+
+    const childrenChanges = enabledEntries()
+      .filter(([key, store]) => isNewChild(key, initial) || store._isChanged())
+      .map(([key, store]) => [
+        key,
+        isNewChild(key, initial) ? store.getIn([]) : store.getChanges(),
+      ]);
+    const staticChanges = getStaticKeys(value, initial)
+      .filter((key) => !equals(get(key, value), get(key, initial)))
+      .map((key) => [key, get(key, value)]);
+
+    return fromEntries([...childrenChanges, ...staticChanges], collType);
+  }
+
+  /* JSON Patch operations from the initial value, at `pointer`.
+   * Array items are followed by child id, so that reordering
+   * gives `move` operations. */
+  function diff(pointer) {
+    if (!isChanged()) return [];
+    const value = peekValue(true);
+    const initial = getInitialValue();
+    if (!isColl(value) || !isColl(initial)) {
+      return [valueOp(pointer, initial, value)];
+    }
+
+    if (collType === "array") {
+      const stores = enabledEntries().map(([, store]) => store);
+      const structureOps = idsOps(
+        pointer,
+        initialIds,
+        stores.map((store) => store.id),
+        (i) => stores[i].getIn([])
+      );
+      const childrenOps = stores.flatMap((store, i) =>
+        initialIds.includes(store.id)
+          ? store._diff(appendPointer(pointer, i))
+          : []
+      );
+      return [...structureOps, ...childrenOps];
+    }
+
+    const childrenOps = enabledEntries().flatMap(([key, store]) => {
+      const childPointer = appendPointer(pointer, key);
+      return isNewChild(key, initial)
+        ? [valueOp(childPointer, undefined, store.getIn([]))]
+        : store._diff(childPointer);
+    });
+    const staticOps = getStaticKeys(value, initial)
+      .filter((key) => !equals(get(key, value), get(key, initial)))
+      .map((key) =>
+        valueOp(appendPointer(pointer, key), get(key, initial), get(key, value))
+      );
+    return [...childrenOps, ...staticOps];
+  }
+
+  /* Path methods delegate to the child store at the first path segment.
+   * Without such a child, the change is made on this collection value. */
+  function splitPath(path) {
+    const segments = toPath(path);
+    const [key, ...rest] = segments;
+    return { segments, key, rest, child: get(key, childrenStores) };
+  }
+
+  function getIn(path) {
+    const { segments, rest, child } = splitPath(path);
+    if (child) return child.getIn(rest);
+    return getPath(segments, peekValue());
+  }
+
+  function setIn(path, newValue, shouldActivate = false) {
+    const { segments, rest, child } = splitPath(path);
+    if (child) return child.setIn(rest, newValue, shouldActivate);
+
+    const coll = assocPath(segments, newValue, peekValue());
+    history.transact(() => setValue(coll));
+    if (shouldActivate) activate();
+  }
+
+  function deleteIn(path) {
+    const { segments, rest, child } = splitPath(path);
+    if (child && rest.length > 0) {
+      child.deleteIn(rest);
+    } else if (child && isSpread) {
+      /* Spread children are removed with their store,
+       * so that following siblings keep theirs. */
+      history.transact(() => removeChildrenById([child.id]));
+    } else {
+      const coll = dissocPath(segments, peekValue());
+      history.transact(() => setValue(coll));
+    }
+  }
+
+  function activateIn(path, bool = true) {
+    const { segments, rest, child } = splitPath(path);
+    if (segments.length < 1) return activate(bool);
+    if (child) return child.activateIn(rest, bool);
+    /* Values without a store are validated by the collection spec. */
+    return ownSpecable.activate(bool);
+  }
+
+  /* Dry run of the collection spec, with errors of the collection itself. */
+  async function checkOwn() {
+    const { valid, reasons } = await ownSpecable._check();
+    return {
+      valid,
+      errors: reasons.map((error) => ({
+        path: [],
+        pointer: "",
+        error,
+        isColl: true,
+      })),
+    };
+  }
+
+  /* Dry run of `activate`: validate the tree without changing any
+   * state, resolving `{ valid, errors }` with errors like `errors`. */
+  async function validate() {
+    if (!ownSpecable._isEnabled()) return { valid: true, errors: [] };
+    const enabledEntries = isUndef
+      ? []
+      : entries(childrenStores).filter(([, store]) => store._isEnabled());
+    const [own, ...childrenResults] = await Promise.all([
+      checkOwn(),
+      ...enabledEntries.map(([, store]) => store.validate()),
+    ]);
+    const childrenErrors = childrenResults.flatMap(({ errors }, i) =>
+      errors.map(prefixPointer(enabledEntries[i][0]))
+    );
+    return {
+      valid: [own, ...childrenResults].every(({ valid }) => valid),
+      errors: [...own.errors, ...childrenErrors].map(liftError(id)),
+    };
+  }
+
+  async function validateIn(path) {
+    const { key, segments, rest, child } = splitPath(path);
+    if (segments.length < 1) return validate();
+
+    if (!child) {
+      /* Values without a store are validated by the collection spec. */
+      const { valid, errors } = await checkOwn();
+      return { valid, errors: errors.map(liftError(id)) };
+    }
+
+    const { valid, errors } = await child.validateIn(rest);
+    return {
+      valid,
+      errors: errors.map(prefixPointer(key)).map(liftError(id)),
+    };
+  }
+
+  /* Capture the whole tree state (children stores included, so that
+   * spread children keep their ids when recalled), for undo/redo. */
+  function capture() {
+    return {
+      collValue,
+      initialIds,
+      isUndef,
+      own: ownSpecable._capture(),
+      stores: childrenStores,
+      children: values(childrenStores).map((store) => store._capture()),
+    };
+  }
+
+  function recall(captured) {
+    collValue = captured.collValue;
+    initialIds = captured.initialIds;
+    isUndef = captured.isUndef;
+    if (captured.stores !== childrenStores) {
+      setChildrenStores(captured.stores);
+    } else if (!isSpread) {
+      derivedValue.set(childrenStores);
+    }
+    values(captured.stores).forEach((store, idx) =>
+      store._recall(captured.children[idx])
+    );
+    ownSpecable._recall(captured.own);
+  }
+
+  if (isHistoryOwner) history.track(capture, recall);
+
+  /* Serializable state of the tree: own state, with `value` holding
+   * static properties, and children states as `{ key, id, ...state }`. */
+  function snapshot() {
+    return {
+      ...ownSpecable.snapshot(),
+      value: peekValue(),
+      ...(collType === "array" ? { initialIds } : {}),
+      children: entries(childrenStores).map(([key, store]) => ({
+        key,
+        id: store.id,
+        ...store.snapshot(),
+      })),
+    };
+  }
+
+  /* Spread children are rebuilt from the snapshot, reusing stores of
+   * the same id, so that ids are kept. Other children are restored
+   * in place. */
+  function restoreState(snap) {
+    const childrenSnaps = snap.children || [];
+    collValue = snap.value;
+    isUndef = collValue === undefined;
+
+    if (isSpread) {
+      const storesById = new Map(
+        values(childrenStores).map((store) => [store.id, store])
+      );
+      const restoredEntries = childrenSnaps.map((childSnap) => {
+        const { key, id: childId, initialValue: childInitial } = childSnap;
+        const store = storesById.get(childId);
+        return store
+          ? [key, store]
+          : createChildEntry(key, childInitial, childId);
+      });
+      setChildrenStores(fromEntries(restoredEntries, collType));
+    } else {
+      derivedValue.set(childrenStores);
+    }
+
+    childrenSnaps.forEach((childSnap) => {
+      const store = get(childSnap.key, childrenStores);
+      if (store) store._restore(childSnap);
+    });
+    ownSpecable._restore(snap);
+    initialIds = snap.initialIds || childrenIds();
+  }
+
+  /* Find the store at `path`, or its deepest existing ancestor
+   * (in which case `found` is false). */
+  function getClosestStore(path) {
+    return path.reduce(
+      ({ store, found }, key) => {
+        const grandChildren = found && store.getChildren && store.getChildren();
+        const child = grandChildren && get(key, grandChildren);
+        return child ? { store: child, found } : { store, found: false };
+      },
+      { store: mainStore, found: true }
+    );
+  }
+
+  function clearErrors() {
+    ownSpecable.clearErrors();
+    values(childrenStores).forEach((store) => store.clearErrors());
+  }
+
+  /* Replace injected errors by the ones of `errors`, a collection mapping
+   * paths (arrays or strings like "address.zip") to errors. The "_" key
+   * or a trailing "_" segment targets the collection itself.
+   * Errors of paths without a store land on their closest ancestor,
+   * unless it already has an error of its own. */
+  function setErrors(errors = {}, options) {
+    clearErrors();
+    const assigned = new Set();
+    entries(errors).forEach(([path, error]) => {
+      const segments = toPath(path);
+      const ownPath =
+        segments[segments.length - 1] === "_"
+          ? segments.slice(0, -1)
+          : segments;
+      const { store, found } = getClosestStore(ownPath);
+      if (!found && assigned.has(store)) return;
+      assigned.add(store);
+      store.setError(error, options);
+    });
+  }
+
   function activate(bool = true) {
+    if (bool && !ownSpecable._isEnabled()) return Promise.resolve(true);
     const storesToActivate = [
       ownSpecable,
       ...(isUndef ? [] : values(childrenStores)),
@@ -269,12 +841,22 @@ export default function collSpecable(
       .catch(() => false);
   }
 
-  async function submit() {
+  /* Set an interaction flag on the whole subtree. */
+  const setInteraction = (method) => (bool = true) => {
+    [ownSpecable, ...values(childrenStores)].forEach((store) =>
+      store[method](bool)
+    );
+  };
+
+  async function submit({ blockOnWarnings = false } = {}) {
     if (!onSubmit) return;
     submitting.set(true);
     try {
       const valid = await activate();
       if (!valid) return false;
+      if (blockOnWarnings && getStoreValue(status).warnings.length > 0) {
+        return false;
+      }
 
       const currValue = getStoreValue(ownSpecable).value;
       await onSubmit(currValue, mainStore);
@@ -292,9 +874,22 @@ export default function collSpecable(
 
     activate,
 
+    activateIn,
+
     add(coll) {
-      if (coll !== undefined) isUndef = false;
-      addChildren(coll);
+      history.transact(() => {
+        if (coll !== undefined) isUndef = false;
+        addChildren(coll);
+      });
+      return this;
+    },
+
+    blur: setInteraction("blur"),
+
+    clearErrors,
+
+    deleteIn(path) {
+      deleteIn(path);
       return this;
     },
 
@@ -319,32 +914,90 @@ export default function collSpecable(
       return childrenStores;
     },
 
+    getChanges,
+
+    getIn,
+
+    getPatch() {
+      return diff("");
+    },
+
+    redo: history.redo,
+
     remove(idsToRemove = []) {
-      removeChildrenById(idsToRemove);
+      history.transact(() => removeChildrenById(idsToRemove));
       return this;
     },
 
     reset(newInitialValue = initialValue) {
-      setValue(newInitialValue, { reset: true });
+      startOver(history, isHistoryOwner, () => {
+        setValue(newInitialValue, { reset: true });
+        initialIds = childrenIds();
+      });
       activate(false);
       return this;
     },
 
     set(coll, partial = false, shouldActivate = false) {
-      setValue(coll, { partial });
+      history.transact(() => setValue(coll, { partial }));
       if (shouldActivate) activate();
       return this;
     },
 
+    /* Restore a `snapshot()`, starting a new history. */
+    restore(snap) {
+      startOver(history, isHistoryOwner, () => restoreState(snap));
+      return this;
+    },
+
+    /* Readable store of the subtree at `path`, or its projection by `fn`. */
+    select(path, fn) {
+      return selectSlice(mainStore, path, fn);
+    },
+
+    setIn(path, newValue, shouldActivate = false) {
+      setIn(path, newValue, shouldActivate);
+      return this;
+    },
+
+    setError(error, options) {
+      ownSpecable.setError(error, options);
+      return this;
+    },
+
+    setErrors(errors, options) {
+      setErrors(errors, options);
+      return this;
+    },
+
+    touch: setInteraction("touch"),
+
+    transaction: history.transact,
+
+    undo: history.undo,
+
     update: (fn) => {
-      setChildrenStores(fn(childrenStores));
+      history.transact(() => setChildrenStores(fn(childrenStores)));
+      return this;
+    },
+
+    updateIn(path, fn, shouldActivate = false) {
+      setIn(path, fn(getIn(path)), shouldActivate);
       return this;
     },
 
+    validate,
+
+    validateIn,
+
+    visit: setInteraction("visit"),
+
     children: {
       subscribe: children.subscribe,
     },
 
+    snapshot,
+
     submit,
 
     subscribe: (fn) => {
@@ -355,30 +1008,121 @@ export default function collSpecable(
         unsub2();
       };
     },
+
+    /* Used by a parent collection to capture and recall the tree state. */
+    _capture: capture,
+    _depth: depth,
+    _diff: diff,
+    _isChanged: isChanged,
+    _isEnabled: ownSpecable._isEnabled,
+    /* Used by a parent collection mounting this store (see `combine`). */
+    _mountHistory: history.mount,
+    _recall: recall,
+    _restore: restoreState,
+    /* Used by `persist` to restore a draft without recording it. */
+    _startOver: (fn) => startOver(history, isHistoryOwner, fn),
+
+    ...(collType === "array" ? arrayMethods : {}),
   };
 
-  return mainStore;
+  /* Changes made to the tree in a tick are published once. */
+  return batchMethods(mainStore, BATCHED_METHODS);
 }
 
+/* Where each mounted store is, as { parent, key }. */
+const mountPoints = new WeakMap();
+
 /**
- * Combine two child status objects into an aggregate status.
- *
- * Returns an object with:
- * - active: true/false/null depending on consistency between children
- * - changed: boolean flag if any child changed
- * - valid: boolean|null (null while validating)
- * - validating: boolean
+ * Mount a store created on its own as a child under `id`. Its status is
+ * given this id, its errors being lifted accordingly.
+ * A store can only be mounted at one place: mounting it again under the
+ * same key of the same parent (e.g. when a child is added back) is allowed.
+ * @param {Object} store - specable store
+ * @param {any} id
+ * @param {{ parent: Object, key: any }} at - where the store is mounted
+ * @returns {Object} the child store
+ * @throws {TypeError} if the store is already mounted elsewhere
  */
-function combineChildren(a, b) {
-  const validating = a.validating || b.validating;
+function mountStore(store, id, at) {
+  const mountPoint = mountPoints.get(store);
+  if (
+    mountPoint &&
+    (mountPoint.parent !== at.parent || mountPoint.key !== at.key)
+  ) {
+    throw new TypeError(
+      `'fields.${at.key}' is a store already mounted in another store`
+    );
+  }
+  mountPoints.set(store, at);
+
+  function withId(status) {
+    if (status.id === id) return status;
+    if (!status.details) return { ...status, id };
+
+    /* Collection errors start with the id of the collection, if any. */
+    const relift = (field) => {
+      const lift = liftError(id, field);
+      return ({ path, ...error }) =>
+        lift({
+          ...error,
+          path: status.id === undefined ? path : path.slice(1),
+        });
+    };
+    const errors = status.errors.map(relift("error"));
+    const warnings = status.warnings.map(relift("warning"));
+    return {
+      ...status,
+      id,
+      errors,
+      collErrors: errors.filter(({ isColl }) => isColl),
+      warnings,
+      collWarnings: warnings.filter(({ isColl }) => isColl),
+    };
+  }
+
+  /* Shared by subscribers, so that a same status gives a same object. */
+  let lastStatus;
+  let lastMounted;
+  const toMounted = (status) => {
+    if (status !== lastStatus) {
+      lastStatus = status;
+      lastMounted = withId(status);
+    }
+    return lastMounted;
+  };
+
   return {
-    active: a.active === b.active ? b.active : null,
-    changed: a.changed || b.changed,
-    valid: validating ? null : a.valid && b.valid,
-    validating,
+    ...store,
+    id,
+    subscribe: (fn) => store.subscribe((status) => fn(toMounted(status))),
   };
 }
 
+/**
+ * Settings (`allReasons`, `debounce`, `throttle`, `validateOn`,
+ * `revalidateOn`) can be
+ * a single value applying to the whole subtree, or a collection defining
+ * it by field.
+ */
+const ownSetting = (setting) => (isColl(setting) ? undefined : setting);
+
+const subSetting = (key, setting) =>
+  isColl(setting)
+    ? get(key, setting) || getSpecma().getSpread(setting)
+    : setting;
+
+/**
+ * Split a `fields` node into child fields and the `when` function
+ * enabling the field it defines.
+ */
+function splitWhen(fieldsNode) {
+  const when = get("when", fieldsNode);
+  if (!isColl(fieldsNode) || !isFunc(when)) return { fields: fieldsNode };
+
+  const fields = dissoc("when", fieldsNode);
+  return { fields: keys(fields).length > 0 ? fields : undefined, when };
+}
+
 /**
  * Create an error-lifting wrapper that prefixes a child's path with the
  * parent's id (when present) and normalizes error shape.
@@ -387,43 +1131,293 @@ function combineChildren(a, b) {
  * and returns a normalized object with:
  * - path: array
  * - which: dotted path string
- * - error: the original error payload
+ * - error: the original error payload (or `warning`, per `field`)
  */
-const liftError = (parentId) => ({ path, error, ...rest }) => {
+const liftError = (parentId, field = "error") => ({
+  path,
+  [field]: message,
+  ...rest
+}) => {
   const newPath = parentId === undefined ? path : [parentId, ...path];
   return {
     ...rest,
     path: newPath,
     which: newPath.join("."),
-    error,
+    [field]: message,
   };
 };
 
 /**
- * Recursively convert a details tree (status.details) to a flat list of
- * error objects with lifted paths. Handles leaf nodes (no details) and
- * nested nodes that themselves have .details.
+ * Prefix the JSON Pointer of an error object with `key`.
+ */
+const prefixPointer = (key) => (error) => ({
+  ...error,
+  pointer: toPointer([key]) + (error.pointer || ""),
+});
+
+const NONE = [];
+
+/* Flags of the combined status set when any entry has them. */
+const ANY_FLAGS = [
+  "blurred",
+  "changed",
+  "pending",
+  "touched",
+  "validating",
+  "visited",
+];
+
+/* Same items, in the same order. */
+const isSameList = (a, b) =>
+  a === b || (a.length === b.length && a.every((item, i) => item === b[i]));
+
+/**
+ * Create a function lifting the errors of a status (own status of a
+ * collection or status of one of its children) with a JSON Pointer from
+ * `key`. Leaf statuses give one error object per reason, nested
+ * collections give their own `errors` (or `warnings`) lifted. Disabled
+ * statuses give none.
+ *
+ * - parentId: optional id to prefix to each error path
+ * - field: status field to collect, "error" or "warning"
+ *
+ * Returns a function (status, key, isOwn, prev) => { key, source, lifted },
+ * returning `prev` as is when the errors of the status are the same, so
+ * that unchanged entries keep their identity.
+ */
+function createErrorsLifter(parentId, field = "error") {
+  const lift = liftError(parentId, field);
+  const liftedByError = new WeakMap();
+
+  const liftNested = (key) => (error) => {
+    const hit = liftedByError.get(error);
+    if (hit && hit.key === key) return hit.lifted;
+    const lifted = prefixPointer(key)(lift(error));
+    liftedByError.set(error, { key, lifted });
+    return lifted;
+  };
+
+  function liftLeaf(key, status, isOwn, messages) {
+    if (isOwn) {
+      return messages.map((message) =>
+        lift({ path: [], pointer: "", [field]: message, isColl: true })
+      );
+    }
+    return messages.map((message) => ({
+      ...lift(summarizeStatusError({ ...status, [field]: message }, field)),
+      pointer: toPointer([key]),
+    }));
+  }
+
+  return function liftErrors(status, key, isOwn, prev) {
+    /* Nested collections already aggregated their own errors,
+     * under `errors` or `warnings`. */
+    const source =
+      status.enabled === false
+        ? NONE
+        : status.details
+        ? status[`${field}s`] || NONE
+        : status[field]
+        ? getMessages(status, field)
+        : NONE;
+
+    if (prev && prev.key === key && isSameList(prev.source, source)) {
+      return prev;
+    }
+    const lifted = status.details
+      ? source.map(liftNested(key))
+      : liftLeaf(key, status, isOwn, source);
+    return { key, source, lifted };
+  };
+}
+
+/**
+ * Create a function aggregating the statuses of a collection, its own
+ * one and the ones of its children, into:
+ * - combined: status flags (see `combineFlags`)
+ * - details: statuses by child id, with the own status under "_"
+ * - errors and warnings: lifted error objects (see `createErrorsLifter`),
+ *   with the ones of the collection itself in collErrors and collWarnings
+ * - errorTree: errors of children by key, mirroring the value shape
  *
- * - details: an object mapping keys to status objects
- * - parentId: optional id to prefix to each child's path
+ * Aggregates of the previous call are kept by entry and only the entries
+ * whose status changed are patched, unless children stores changed or the
+ * collection was disabled, enabled, set or unset.
  *
- * Returns an array of normalized error objects.
+ * Returns a function ({ own, children, stores, enabled, isUndef }) => aggregates.
  */
-function detailsToErrors(details, parentId) {
-  return Object.entries(details)
-    .flatMap(([key, status]) => {
-      if (!status.details) {
-        if (!status.error) return [];
-        if (key === "_") {
-          return [{ path: [], error: status.error, isColl: true }];
+function createStatusAggregator(parentId) {
+  const liftErrors = createErrorsLifter(parentId);
+  const liftWarnings = createErrorsLifter(parentId, "warning");
+
+  let structure = [];
+  let keysById = new Map();
+  let recs = new Map();
+  let counts;
+  let result;
+
+  function toRec(detailsKey, status, prev) {
+    const isOwn = detailsKey === "_";
+    const key = isOwn ? undefined : keysById.get(status.id);
+    if (prev && prev.status === status && prev.key === key) return prev;
+
+    const isEnabled = status.enabled !== false;
+    const tree = status.details ? status.errorTree : status.error;
+    return {
+      errors: liftErrors(status, key, isOwn, prev && prev.errors),
+      isEnabled,
+      key,
+      status,
+      tree: isOwn || !isEnabled ? undefined : tree || undefined,
+      warnings: liftWarnings(status, key, isOwn, prev && prev.warnings),
+    };
+  }
+
+  /* Add (sign 1) or remove (sign -1) the flags of an entry. */
+  function count(rec, sign) {
+    if (!rec.isEnabled) return;
+    const { status } = rec;
+    ANY_FLAGS.forEach((flag) => {
+      if (status[flag]) counts[flag] += sign;
+    });
+    if (!status.valid) counts.invalid += sign;
+    counts.enabled += sign;
+    const actives = (counts.active.get(status.active) || 0) + sign;
+    if (actives > 0) counts.active.set(status.active, actives);
+    else counts.active.delete(status.active);
+  }
+
+  /* Combined status flags, from the counts of enabled entries:
+   * - active: true/false when all entries agree, null otherwise
+   * - blurred, changed, pending, touched, validating, visited: when any has it
+   * - valid: boolean|null (null while validating or pending)
+   * The own status is used as is when no child is enabled. */
+  function combineFlags(own) {
+    if (counts.enabled < 2) return own;
+    const has = (flag) => counts[flag] > 0;
+    const pending = has("pending");
+    const validating = has("validating");
+    return {
+      active:
+        counts.active.size === 1 ? counts.active.keys().next().value : null,
+      blurred: has("blurred"),
+      changed: has("changed"),
+      pending,
+      touched: has("touched"),
+      valid: validating || pending ? null : counts.invalid < 1,
+      validating,
+      visited: has("visited"),
+    };
+  }
+
+  const flatten = (field) =>
+    Array.from(recs.values()).flatMap((rec) => rec[field].lifted);
+
+  const ofColl = (errors) => errors.filter(({ isColl }) => isColl);
+
+  function toErrorTree(stores) {
+    return fromEntries(
+      entries(stores).map(([key, store]) => [key, recs.get(store.id).tree]),
+      typeOf(stores)
+    );
+  }
+
+  return function aggregate({ own, children, stores, enabled, isUndef }) {
+    const nextStructure = [stores, enabled, isUndef];
+    const isRebuilt =
+      !result || nextStructure.some((item, i) => item !== structure[i]);
+    structure = nextStructure;
+
+    const prevRecs = recs;
+    if (isRebuilt) {
+      keysById = new Map(
+        entries(stores).map(([key, store]) => [store.id, key])
+      );
+      recs = new Map();
+      counts = { active: new Map(), enabled: 0, invalid: 0 };
+      ANY_FLAGS.forEach((flag) => {
+        counts[flag] = 0;
+      });
+    }
+
+    const changed = [];
+    [["_", own], ...children.map((child) => [child.id, child])].forEach(
+      ([detailsKey, status]) => {
+        const prev = prevRecs.get(detailsKey);
+        const rec = toRec(detailsKey, status, prev);
+        if (isRebuilt) {
+          recs.set(detailsKey, rec);
+          count(rec, 1);
+        } else if (rec !== prev) {
+          recs.set(detailsKey, rec);
+          count(prev, -1);
+          count(rec, 1);
+          changed.push([detailsKey, rec, prev]);
         }
-        return [summarizeStatusError(status)];
       }
+    );
+
+    if (!isRebuilt && changed.length < 1) return result;
+
+    const isPatched = (field) =>
+      !isRebuilt &&
+      changed.every(([, rec, prev]) => rec[field] === prev[field]);
+
+    const details = isRebuilt
+      ? Object.fromEntries(
+          Array.from(recs.entries()).map(([key, rec]) => [key, rec.status])
+        )
+      : {
+          ...result.details,
+          ...Object.fromEntries(
+            changed.map(([detailsKey, rec]) => [detailsKey, rec.status])
+          ),
+        };
+
+    const errors = !enabled
+      ? NONE
+      : isPatched("errors")
+      ? result.errors
+      : flatten("errors");
+    const warnings = !enabled
+      ? NONE
+      : isPatched("warnings")
+      ? result.warnings
+      : flatten("warnings");
 
-      const subErrors = detailsToErrors(status.details, details.id);
-      return subErrors.map(liftError(status.id));
-    })
-    .map(liftError(parentId));
+    const errorTree =
+      !enabled || isUndef
+        ? undefined
+        : isRebuilt
+        ? toErrorTree(stores)
+        : changed.reduce(
+            (tree, [, rec, prev]) =>
+              rec.tree === prev.tree ? tree : assoc(rec.key, rec.tree, tree),
+            result.errorTree
+          );
+
+    const last = result || {};
+    result = {
+      combined: isUndef || !enabled ? own : combineFlags(own),
+      details,
+      errors,
+      collErrors: errors === last.errors ? last.collErrors : ofColl(errors),
+      errorTree,
+      warnings,
+      collWarnings:
+        warnings === last.warnings ? last.collWarnings : ofColl(warnings),
+    };
+    return result;
+  };
+}
+
+/**
+ * Messages of a status: its error `reasons` (one per failing rule with
+ * `allReasons`), or its single `field` value.
+ */
+function getMessages(status, field) {
+  const { reasons = [] } = status;
+  return field === "error" && reasons.length > 0 ? reasons : [status[field]];
 }
 
 /**
@@ -432,6 +1426,6 @@ function detailsToErrors(details, parentId) {
  *
  * Input: { id, error } -> Output: { path: [id], which: id, error }
  */
-function summarizeStatusError({ id, error }) {
-  return { path: [id], which: id, error };
+function summarizeStatusError({ id, ...status }, field = "error") {
+  return { path: [id], which: id, [field]: status[field] };
 }
@@ -0,0 +1,54 @@
+import { get as getStoreValue } from "svelte/store";
+import specable from "./specable";
+import { entries, fromEntries, isColl, isStore, typeOf, values } from "./util";
+
+/**
+ * combine
+ *
+ * Combine existing specable stores (e.g. created by separate components)
+ * into one collection store, mounting each of them as a child under its key.
+ * Same as `specable` with these stores as `fields`.
+ *
+ * The combined store aggregates the status of its children (`valid`,
+ * `errors`, `changed`, ...) and its methods (`activate`, `set`, `reset`, ...)
+ * reach them. Without an `onSubmit` option, `submit()` validates all the
+ * stores, then submits each of them.
+ *
+ * Example:
+ *   const page = combine({ billing: billingForm, shipping: shippingForm });
+ *
+ * @param {Object|Map} stores - specable stores by key
+ * @param {Object} [options] - other `specable` options (`spec`, `onSubmit`...)
+ * @returns {Object} a collection store
+ * @throws {TypeError} if `stores` is not a collection of distinct stores,
+ *   or if one of them is already mounted in another store
+ */
+export default function combine(stores, options = {}) {
+  if (!isColl(stores) || typeOf(stores) === "array") {
+    throw new TypeError("'stores' must be an object or a Map of stores");
+  }
+  const storesList = values(stores);
+  if (!storesList.every(isStore)) {
+    throw new TypeError("'stores' must only contain specable stores");
+  }
+  if (new Set(storesList).size < storesList.length) {
+    throw new TypeError("A store can only be combined once");
+  }
+
+  const initialValue = fromEntries(
+    entries(stores).map(([key, store]) => [
+      key,
+      getStoreValue(store).initialValue,
+    ]),
+    typeOf(stores)
+  );
+
+  const submitAll = () =>
+    Promise.all(storesList.map((store) => store.submit()));
+
+  return specable(initialValue, {
+    onSubmit: submitAll,
+    ...options,
+    fields: stores,
+  });
+}
@@ -1,3 +1,5 @@
+import { isFunc, isStore } from "./util";
+
 /**
  * configure.js
  *
@@ -5,15 +7,18 @@
  *
  * This module:
  * - declares the list of required Specma functions the library depends on
- * - exports a mutable `specma` reference that other modules import
- * - provides `configure(specmaFns)` to set the implementation (must provide
- *   required functions)
+ * - keeps the configured `specma` implementation, read by other modules
+ *   with `getSpecma()`, and the settings, read with `getSettings()`
+ * - provides `configure(specmaFns, options)` to set the implementation (must
+ *   provide required functions) and default settings of the stores
  * - provides `ensureConfigured()` to assert configuration and throw a clear
  *   error when not configured
  *
  * Usage:
  * import { configure } from "svelte-specma";
  * configure(specma); // specma must expose required helper functions
+ * configure(specma, { validateOn: "submit", revalidateOn: "change" });
+ * configure(specma, { formatError: (reason, { locale }) => t(reason, locale), locale });
  */
 
 /**
@@ -38,12 +43,53 @@ const CONFIG_ERROR_MSG =
   "SvelteSpecma must be configured with a valid Specma version.";
 
 /**
- * Mutable export that will hold the configured Specma implementation.
- * Other modules import this and expect it to be populated by calling `configure`.
- * It is `undefined` until `configure()` is called successfully.
- * @type {object|undefined}
+ * Events that can trigger validation, for `validateOn` and `revalidateOn`.
+ * @type {string[]}
  */
-export let specma = undefined;
+const VALIDATION_EVENTS = ["change", "blur", "submit"];
+
+/**
+ * Default settings, used by stores when not defined in their options.
+ * - validateOn: event activating a store (showing its errors)
+ * - revalidateOn: event validating changes of an active store
+ * - formatError: (reason, { path, value, id, locale }) => message, renders
+ *   errors and warnings of the stores (none by default)
+ * - locale: store of the current locale given to `formatError`. Its changes
+ *   render messages again, without validating again.
+ * - adapters: validation adapters of other engines (see adapters.js), tested
+ *   in order before the Standard Schema one
+ */
+const DEFAULT_SETTINGS = {
+  validateOn: "blur",
+  revalidateOn: "change",
+};
+
+/**
+ * Configuration set by `configure`: the Specma implementation (`undefined`
+ * until `configure()` is called successfully) and the settings.
+ * It is shared through `globalThis` by all the copies of this module, so
+ * that the built package and the runes sources (`svelte-specma/runes`)
+ * are configured by a single call, from either entry.
+ * @type {{ specma: object|undefined, settings: { validateOn: string,
+ *   revalidateOn: string, formatError?: Function,
+ *   locale?: import('svelte/store').Readable, adapters?: Object[] } }}
+ */
+const CONFIG_KEY = Symbol.for("svelte-specma.configuration");
+const config =
+  globalThis[CONFIG_KEY] ||
+  (globalThis[CONFIG_KEY] = { specma: undefined, settings: DEFAULT_SETTINGS });
+
+/**
+ * Settings set by `configure`, or the default ones.
+ * @returns {object}
+ */
+export const getSettings = () => config.settings;
+
+/**
+ * Configured Specma implementation, or `undefined`.
+ * @returns {object|undefined}
+ */
+export const getSpecma = () => config.specma;
 
 /**
  * ensureConfigured
@@ -51,13 +97,13 @@ export let specma = undefined;
  * Throw a TypeError with a descriptive message if the library has not been
  * configured with a valid Specma object.
  *
- * Call this at the start of functions that depend on `specma` to provide a
+ * Call this at the start of functions that depend on `getSpecma()` to provide a
  * clear runtime failure rather than failing with obscure errors later.
  *
  * @throws {TypeError} when `specma` is not set
  */
 export function ensureConfigured() {
-  if (!specma) {
+  if (!config.specma) {
     throw new TypeError(CONFIG_ERROR_MSG);
   }
 }
@@ -67,15 +113,19 @@ export function ensureConfigured() {
  *
  * Provide a Specma-compatible implementation to the library.
  * The provided object must implement the functions listed in REQUIRED_SPECMA_FNS.
+ * Optional settings replace the DEFAULT_SETTINGS ones.
  *
  * Example:
  *   import * as specma from "specma";
  *   configure(specma);
  *
  * @param {object} specmaFns - an object implementing required Specma functions
+ * @param {object} [options] - default settings (`validateOn`, `revalidateOn`,
+ *   `formatError`, `locale`, `adapters`)
  * @throws {TypeError} if the provided object is missing required functions
+ *                     or if a setting is invalid
  */
-export default function configure(specmaFns) {
+export default function configure(specmaFns, options = {}) {
   if (!specmaFns) {
     throw new TypeError(CONFIG_ERROR_MSG);
   }
@@ -85,5 +135,30 @@ export default function configure(specmaFns) {
       throw new TypeError(`'${key}' must be a function provided by 'specma'`);
     }
   });
-  specma = specmaFns;
+
+  ["validateOn", "revalidateOn"].forEach((key) => {
+    if (
+      options[key] !== undefined &&
+      !VALIDATION_EVENTS.includes(options[key])
+    ) {
+      throw new TypeError(`'${key}' must be 'change', 'blur' or 'submit'`);
+    }
+  });
+
+  if (options.formatError !== undefined && !isFunc(options.formatError)) {
+    throw new TypeError("'formatError' must be a function");
+  }
+
+  if (options.locale !== undefined && !isStore(options.locale)) {
+    throw new TypeError("'locale' must be a store");
+  }
+
+  (options.adapters || []).forEach((adapter) => {
+    if (!adapter || !isFunc(adapter.test) || !isFunc(adapter.validate)) {
+      throw new TypeError("Adapters must implement 'test' and 'validate'");
+    }
+  });
+
+  config.specma = specmaFns;
+  config.settings = { ...DEFAULT_SETTINGS, ...options };
 }
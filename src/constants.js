@@ -1 +1,34 @@
 export const ALWAYS_VALID = { valid: true };
+
+/**
+ * Methods of specable stores whose changes to the tree are batched.
+ * @type {string[]}
+ */
+export const BATCHED_METHODS = [
+  "activate",
+  "activateIn",
+  "add",
+  "append",
+  "blur",
+  "clearErrors",
+  "deleteIn",
+  "insert",
+  "move",
+  "prepend",
+  "redo",
+  "remove",
+  "removeAt",
+  "reset",
+  "restore",
+  "set",
+  "setError",
+  "setErrors",
+  "setIn",
+  "swap",
+  "touch",
+  "transaction",
+  "undo",
+  "update",
+  "updateIn",
+  "visit",
+];
@@ -0,0 +1,77 @@
+import { derived, get as getStoreValue } from "svelte/store";
+import collDerived from "./collDerived";
+import {
+  countPathAncestors,
+  equals,
+  getPathValues,
+  keepForwardPath,
+} from "./util";
+
+/**
+ * createContext
+ *
+ * Track the values a store reads from other stores of its tree with
+ * `getFrom(path)`, so that it can react to their changes.
+ *
+ * Paths are relative ("../name", one ancestor up per "../") or absolute from
+ * the root store ("/password"). "*" segments match every entry of a
+ * collection, giving an array of values (see `getPathValues`).
+ *
+ * Parameters:
+ * - getAncestor: (n) => store, n levels up (undefined for a root store)
+ *
+ * Returns an object with:
+ * - subscribe(fn): subscribe to the values read so far, by path
+ * - getFrom($context): returns a `getFrom(path)` function reading from
+ *   `$context`. Paths read for the first time start being tracked.
+ * - peekFrom(path): reads the current value at `path`, without tracking it.
+ */
+export default function createContext(getAncestor) {
+  const contextStores = {};
+  const context = collDerived(contextStores);
+
+  function resolve(relPath) {
+    /* Absolute paths ("/password") start from the root store. */
+    const depth = relPath.startsWith("/")
+      ? Infinity
+      : countPathAncestors(relPath);
+    const ancestor = getAncestor && getAncestor(depth);
+    return { ancestor, pathSinceAncestor: keepForwardPath(relPath) };
+  }
+
+  function peekFrom(relPath) {
+    const { ancestor, pathSinceAncestor } = resolve(relPath);
+    if (!ancestor) return;
+    return getPathValues(pathSinceAncestor, getStoreValue(ancestor).value);
+  }
+
+  function addContext(relPath) {
+    const { ancestor, pathSinceAncestor } = resolve(relPath);
+    if (!ancestor) return;
+
+    contextStores[relPath] = derived(ancestor, ($ancestor, set) => {
+      const ancestorValue = $ancestor.value;
+      if (!ancestorValue) return;
+
+      const curr = contextStores[relPath].value;
+      const next = getPathValues(pathSinceAncestor, ancestorValue);
+      if (!equals(curr, next)) {
+        contextStores[relPath].value = next;
+        set(next);
+      }
+    });
+    context.set(contextStores);
+
+    /* If context has just been created, it won't be accessible
+     * in the derived store at first.
+     * In that case, return the static store value. */
+    return peekFrom(relPath);
+  }
+
+  /* If `getFrom` has already been called once with a path,
+   * context store is already tracking its value. */
+  const getFrom = ($context) => (relPath) =>
+    contextStores[relPath] ? $context[relPath] : addContext(relPath);
+
+  return { getFrom, peekFrom, subscribe: context.subscribe };
+}
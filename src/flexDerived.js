@@ -7,6 +7,92 @@ import { readable, writable } from "svelte/store";
 const identity = (x) => x;
 const noop = () => {};
 
+/* Sync functions of batched stores with changes to compute, by depth,
+ * shared by all stores so that a flush follows their dependencies. */
+const dirtyByDepth = new Map();
+let batchDepth = 0;
+/* Whether a flush of the changes made in the current tick is planned. */
+let flushScheduled = false;
+
+function markDirty(sync, depth) {
+  if (!dirtyByDepth.has(depth)) dirtyByDepth.set(depth, new Set());
+  dirtyByDepth.get(depth).add(sync);
+}
+
+function isDirty(sync, depth) {
+  const dirty = dirtyByDepth.get(depth);
+  return !!dirty && dirty.has(sync);
+}
+
+function unmarkDirty(sync, depth) {
+  const dirty = dirtyByDepth.get(depth);
+  if (!dirty) return;
+  dirty.delete(sync);
+  if (dirty.size < 1) dirtyByDepth.delete(depth);
+}
+
+/* Compute changes of batched stores, deepest first, including the ones
+ * caused by the computation of others. */
+function flushBatched() {
+  flushScheduled = false;
+  batchDepth += 1;
+  try {
+    while (dirtyByDepth.size > 0) {
+      const depth = Math.max(...Array.from(dirtyByDepth.keys()));
+      const sync = dirtyByDepth.get(depth).values().next().value;
+      sync();
+    }
+  } finally {
+    batchDepth -= 1;
+  }
+}
+
+/* Compute the changes of the current tick in a microtask. */
+function scheduleFlush() {
+  if (flushScheduled || dirtyByDepth.size < 1) return;
+  flushScheduled = true;
+  Promise.resolve().then(() => {
+    if (flushScheduled) flushBatched();
+  });
+}
+
+/**
+ * Run `fn`, computing the changes it causes to batched stores later,
+ * once for all the batches run in the same tick (in a microtask).
+ * Subscribing to a batched store, as `get(store)` does, computes the
+ * pending changes right away.
+ * @param {Function} fn
+ * @returns {any} the result of `fn`
+ */
+export function batch(fn) {
+  batchDepth += 1;
+  try {
+    return fn();
+  } finally {
+    batchDepth -= 1;
+    if (batchDepth < 1) scheduleFlush();
+  }
+}
+
+/**
+ * Wrap methods of `obj` in `batch`, so that the changes a call makes to
+ * batched stores are published once, with the other changes of the tick.
+ * Missing methods are skipped.
+ * @param {Object} obj
+ * @param {string[]} names
+ * @returns {Object} `obj`, mutated
+ */
+export function batchMethods(obj, names) {
+  names.forEach((name) => {
+    const method = obj[name];
+    if (!method) return;
+    obj[name] = function batchedMethod(...args) {
+      return batch(() => method.apply(this, args));
+    };
+  });
+  return obj;
+}
+
 /**
  * flexDerived
  *
@@ -22,10 +108,19 @@ const noop = () => {};
  * - If `fn.length >= 2` (arity 2) `fn` is called with (values, publish) and may
  *   call `publish` asynchronously; its return value may be a cleanup function.
  *
+ * - With `batched`, changes of source values made inside `batch(fn)` don't
+ *   recompute the result right away: all the changes of a tick are merged in
+ *   a single computation, in a microtask, from the deepest stores to the
+ *   shallowest (see `depth`), so that a store is computed after its sources.
+ *   A new subscriber gets the result of the pending changes right away.
+ *   Outside of a batch, with no pending changes, each change is computed
+ *   right away.
+ *
  * Parameters:
  * - initialStores: Array of Svelte stores to subscribe to initially.
  * - fn: mapping function (values) => result OR (values, publish) => (cleanup|void)
  * - initialValue: optional initial published value
+ * - options: { batched, depth } (defaults to false and 0)
  *
  * Return value (object):
  * - subscribe(fn): subscribe to derived values (Svelte readable contract)
@@ -42,9 +137,16 @@ const noop = () => {};
  *
  * Notes:
  * - The implementation ensures ordering of values matches the tracked store order.
+ * - Invalidated source stores are tracked by reference, so that the result is
+ *   not computed until they all have a value, whatever their number.
  * - When no subscribers remain the helper unsubscribes from all source stores.
  */
-function flexDerived(initialStores = [], fn = identity, initialValue) {
+function flexDerived(
+  initialStores = [],
+  fn = identity,
+  initialValue,
+  { batched = false, depth = 0 } = {}
+) {
   /* Used for ordering values */
   let _stores = initialStores;
   /* Store of stores. When last subscriber unsubscribes,
@@ -60,11 +162,16 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
   /* Use a readable store to manage subscribers. */
   const mainStore = readable(initialValue, (publish) => {
     let initialized = false;
+    /* Whether a result has been computed since the start. */
+    let computed = false;
+    /* Number of syncs started, to detect the ones made while computing. */
+    let runs = 0;
 
     let cleanup = noop;
-    let pending = 0;
     let unsubs = new Map();
     let values = new Map();
+    /* Invalidated stores, whose new value hasn't been received yet. */
+    const pending = new Set();
 
     /* Unsubscribe saved stores not included in a new list of stores
      * and create a new Map of unsub by store, reusing old ones when they exist. */
@@ -74,8 +181,11 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
     }
 
     function stopUnusedSubs(usedStores = []) {
+      const used = new Set(usedStores);
       unsubs.forEach((unsub, store) => {
-        if (!usedStores.includes(store) && unsub) unsub();
+        if (used.has(store)) return;
+        pending.delete(store);
+        if (unsub) unsub();
       });
     }
 
@@ -91,13 +201,20 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
     /* Recompute and publish the combined result on values,
      * using `_stores` to ensure values order consistency. */
     function sync() {
-      if (pending) return;
+      unmarkDirty(sync, depth);
+      if (pending.size > 0) return;
       cleanup();
-      const vals = _stores.reduce(
-        (acc, store) => (values.has(store) ? [...acc, values.get(store)] : acc),
-        []
-      );
+      runs += 1;
+      const run = runs;
+      const vals = _stores
+        .filter((store) => values.has(store))
+        .map((store) => values.get(store));
       const result = fn(vals, publish);
+      computed = true;
+
+      /* A result invalidated while being computed (e.g. by side effects
+       * of `fn`) is replaced by the newer one instead of being published. */
+      if (auto && (run !== runs || isDirty(sync, depth))) return;
 
       if (auto) {
         publish(result);
@@ -106,6 +223,16 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
       }
     }
 
+    /* Sync right away, or once for all the changes of the batches of
+     * a tick. A first result is always computed right away. */
+    function schedule() {
+      if (batched && computed && (batchDepth > 0 || flushScheduled)) {
+        markDirty(sync, depth);
+      } else {
+        sync();
+      }
+    }
+
     const unsubscribe = $stores.subscribe((stores) => {
       updateUnsubs(stores);
       updateValues(stores);
@@ -123,29 +250,37 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
             store.subscribe(
               (value) => {
                 values.set(store, value);
-                pending &= ~(1 << i);
-                if (initialized) sync();
+                pending.delete(store);
+                if (initialized) schedule();
               },
               () => {
-                pending |= 1 << i;
+                pending.add(store);
               }
             )
           );
         }
       });
-      if (initialized) sync();
+      if (initialized) schedule();
     });
 
     initialized = true;
     sync();
 
     return function stop() {
+      unmarkDirty(sync, depth);
       unsubscribe();
       stopSubscriptions();
       cleanup();
     };
   });
 
+  /* New subscribers get a result including the changes of the tick,
+   * unless subscribing from within a batch. */
+  function subscribe(run, invalidate) {
+    if (batched && flushScheduled && batchDepth < 1) flushBatched();
+    return mainStore.subscribe(run, invalidate);
+  }
+
   /* Exclude one or mode stores from the list. */
   function exclude(...stores) {
     $stores.update((prev) => prev.filter((store) => !stores.includes(store)));
@@ -161,7 +296,7 @@ function flexDerived(initialStores = [], fn = identity, initialValue) {
     include,
     set: $stores.set,
     stores: $stores,
-    subscribe: mainStore.subscribe,
+    subscribe,
     update: $stores.update,
   };
 }
@@ -0,0 +1,172 @@
+import register from "./register";
+import { get, toPath, values } from "./util";
+
+const noop = () => {};
+
+/**
+ * Bind all named descendant inputs of a form element to a `collSpecable` store.
+ *
+ * Usage in Svelte: <form use:form="{store}">...</form>
+ * Optionally: <form use:form="{[store, { transforms, onError }]}">...</form>
+ * where `transforms` maps input names to `{ toInput, toValue }`.
+ *
+ * Each element with a `name` attribute (e.g. "presets.0.quantity" or
+ * "address[zip]") is bound to the child store found at that path with
+ * `getChild`, with the same semantics as `register`. Elements without a
+ * matching child store are left alone.
+ *
+ * The form `submit` event calls `store.submit()` and its `reset` event calls
+ * `store.reset()`. An error thrown by `onSubmit` is given to
+ * `onError(error, store)`, or otherwise set as an error of the store (see
+ * `setError`), its message for Error objects. Inputs added, removed or renamed later (e.g. in `{#each}`
+ * blocks over spread arrays) are picked up by watching the DOM, and bindings
+ * follow child stores when the children of a collection change (value
+ * changes alone don't rescan the form).
+ *
+ * The returned object matches Svelte action contract { update, destroy }.
+ *
+ * @param {HTMLFormElement|HTMLElement} el - the form (or any container) element
+ * @param {Object|Array} storeOrArgs - store or [store, { transforms, onError }]
+ * @returns {{ destroy: () => void, update: (newArgs:any) => void }|undefined}
+ */
+export default function form(el, storeOrArgs) {
+  let args = normalizeArgs(storeOrArgs);
+  if (!el || !args.store) return;
+
+  /* Bindings by input element, as { name, store, action }. */
+  let bindings = new Map();
+  let observer;
+  let scanScheduled = false;
+  let unsubStatus;
+  let unsubStructure;
+  listen();
+
+  function bind(input, name, store) {
+    const transforms = get(name, args.transforms);
+    const action = register(input, transforms ? [store, transforms] : store);
+    bindings.set(input, { name, store, action });
+  }
+
+  function unbind(input) {
+    const binding = bindings.get(input);
+    if (binding && binding.action) binding.action.destroy();
+    bindings.delete(input);
+  }
+
+  /* Bind new inputs, rebind the ones whose name or child store changed
+   * and unbind the ones that are gone. */
+  function scan() {
+    scanScheduled = false;
+    const inputs = Array.from(el.querySelectorAll("[name]"));
+    const inputsSet = new Set(inputs);
+
+    bindings.forEach((binding, input) => {
+      if (!inputsSet.has(input)) unbind(input);
+    });
+
+    inputs.forEach((input) => {
+      const name = input.getAttribute("name");
+      const store = getFieldStore(name);
+      const binding = bindings.get(input);
+      if (binding && binding.name === name && binding.store === store) return;
+
+      unbind(input);
+      if (store) bind(input, name, store);
+    });
+  }
+
+  function scheduleScan() {
+    if (scanScheduled) return;
+    scanScheduled = true;
+    Promise.resolve().then(() => {
+      if (scanScheduled) scan();
+    });
+  }
+
+  /* Only value stores (not collections) can be bound to an input. */
+  function getFieldStore(name) {
+    const store = args.store.getChild(toPath(name));
+    return store && !store.getChildren ? store : null;
+  }
+
+  function submitHandler(e) {
+    e.preventDefault();
+    const { onError, store } = args;
+    store.submit().catch((error) => {
+      if (onError) onError(error, store);
+      else store.setError(error instanceof Error ? error.message : error);
+    });
+  }
+
+  function resetHandler(e) {
+    e.preventDefault();
+    args.store.reset();
+  }
+
+  function listen() {
+    scan();
+    /* Keep the store state up to date for `submit`. */
+    unsubStatus = args.store.subscribe(noop);
+    unsubStructure = subscribeStructure(args.store, scheduleScan);
+    if (typeof MutationObserver === "function") {
+      observer = new MutationObserver(scheduleScan);
+      observer.observe(el, {
+        attributeFilter: ["name"],
+        childList: true,
+        subtree: true,
+      });
+    }
+    el.addEventListener("submit", submitHandler);
+    el.addEventListener("reset", resetHandler);
+  }
+
+  function unlisten() {
+    scanScheduled = false;
+    unsubStatus();
+    unsubStructure();
+    if (observer) observer.disconnect();
+    Array.from(bindings.keys()).forEach(unbind);
+    bindings = new Map();
+    el.removeEventListener("submit", submitHandler);
+    el.removeEventListener("reset", resetHandler);
+  }
+
+  return {
+    destroy: unlisten,
+    update(newArgs) {
+      unlisten();
+      if (!newArgs) return;
+      args = normalizeArgs(newArgs);
+      listen();
+    },
+  };
+}
+
+/* Call `fn` when the children stores of `store`, or of any of its
+ * descendant collections, change. Value changes are ignored. */
+function subscribeStructure(store, fn) {
+  let unsubs = [];
+  const unsub = store.children.subscribe(($children) => {
+    unsubs.forEach((unsubChild) => unsubChild());
+    unsubs = values($children)
+      .filter((child) => child.children)
+      .map((child) => subscribeStructure(child, fn));
+    fn();
+  });
+
+  return () => {
+    unsub();
+    unsubs.forEach((unsubChild) => unsubChild());
+  };
+}
+
+function normalizeArgs(storeOrArgs) {
+  if (!storeOrArgs) return {};
+
+  if (!Array.isArray(storeOrArgs)) {
+    return { store: storeOrArgs, transforms: {} };
+  }
+
+  const [store, { onError, transforms = {} } = {}] = storeOrArgs;
+  return { onError, store, transforms };
+}
@@ -0,0 +1,189 @@
+import { writable } from "svelte/store";
+import equals from "fast-deep-equal/es6";
+
+/**
+ * Number of entries kept when history is enabled with `true`.
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Normalize the `history` option into a maximum number of entries.
+ * - `true` => DEFAULT_LIMIT
+ * - positive number => that number (floored)
+ * - anything else => 0 (history disabled)
+ *
+ * @param {boolean|number} [option]
+ * @returns {number}
+ */
+function toLimit(option) {
+  if (option === true) return DEFAULT_LIMIT;
+  const limit = Math.floor(Number(option));
+  return limit > 0 ? limit : 0;
+}
+
+/**
+ * createHistory
+ *
+ * Undo/redo history shared by all the stores of a specable tree.
+ *
+ * The root store of the tree creates the history and registers, through
+ * `track`, how to capture and recall the state of the whole tree. Children
+ * stores receive the same history instance and wrap their value mutations in
+ * `transact`, so that any change anywhere in the tree is recorded at the root.
+ *
+ * Behaviour:
+ * - `transact(fn)` captures the tree before running `fn` and records the
+ *   captured state as an entry if the tree differs afterwards. Nested
+ *   transactions are merged into the outermost one.
+ * - `ignore(fn)` runs `fn` without recording anything (used by `reset` and
+ *   while recalling a previous state).
+ * - `undo()` and `redo()` move between entries and return `true` when a
+ *   state was recalled.
+ * - `subscribe` publishes `{ canUndo, canRedo }`.
+ * - `mount(parentHistory)` makes the history of a store mounted in another
+ *   tree (see `combine`) record into the history of that tree, when that
+ *   one is enabled: changes, undo and redo go through it, and its flags are
+ *   published. The entries recorded before are dropped.
+ *
+ * Parameters:
+ * - option: `true` for a default limit or the maximum number of entries.
+ *           When falsy, nothing is ever recorded.
+ *
+ * Returns an object with:
+ * - track(capture, recall), transact(fn), ignore(fn), clear(), undo(), redo()
+ * - isEnabled(), isMounted(), mount(parentHistory)
+ * - subscribe(fn): subscribe to `{ canUndo, canRedo }` flags
+ */
+export default function createHistory(option) {
+  const limit = toLimit(option);
+  const flags = writable({ canUndo: false, canRedo: false });
+
+  let capture;
+  let recall;
+  let past = [];
+  let future = [];
+  let depth = 0;
+  let paused = 0;
+  let parent;
+  let unsubParent;
+
+  function publish() {
+    flags.set({ canUndo: past.length > 0, canRedo: future.length > 0 });
+  }
+
+  function track(captureFn, recallFn) {
+    capture = captureFn;
+    recall = recallFn;
+  }
+
+  function isEnabled() {
+    return parent ? parent.isEnabled() : limit > 0;
+  }
+
+  function isMounted() {
+    return !!parent;
+  }
+
+  function mount(parentHistory) {
+    if (parentHistory === parent || !parentHistory.isEnabled()) return;
+    if (unsubParent) unsubParent();
+    parent = parentHistory;
+    past = [];
+    future = [];
+    unsubParent = parent.subscribe(flags.set);
+  }
+
+  function ignore(fn) {
+    if (parent) return parent.ignore(fn);
+    paused += 1;
+    try {
+      return fn();
+    } finally {
+      paused -= 1;
+    }
+  }
+
+  function transact(fn) {
+    if (parent) return parent.transact(fn);
+    if (limit < 1 || !capture || depth > 0 || paused > 0) return fn();
+
+    const before = capture();
+    depth += 1;
+    try {
+      return fn();
+    } finally {
+      depth -= 1;
+      if (!equals(before, capture())) {
+        past = [...past, before].slice(-limit);
+        future = [];
+        publish();
+      }
+    }
+  }
+
+  function clear() {
+    if (parent) return;
+    if (past.length < 1 && future.length < 1) return;
+    past = [];
+    future = [];
+    publish();
+  }
+
+  /* Recall the last entry of `from`, saving the current state in `to`. */
+  function travel(from, to) {
+    if (from.length < 1 || depth > 0) return null;
+    const target = from[from.length - 1];
+    const current = capture();
+    ignore(() => recall(target));
+    return [from.slice(0, -1), [...to, current].slice(-limit)];
+  }
+
+  function undo() {
+    if (parent) return parent.undo();
+    const travelled = travel(past, future);
+    if (!travelled) return false;
+    [past, future] = travelled;
+    publish();
+    return true;
+  }
+
+  function redo() {
+    if (parent) return parent.redo();
+    const travelled = travel(future, past);
+    if (!travelled) return false;
+    [future, past] = travelled;
+    publish();
+    return true;
+  }
+
+  return {
+    clear,
+    ignore,
+    isEnabled,
+    isMounted,
+    mount,
+    redo,
+    subscribe: flags.subscribe,
+    track,
+    transact,
+    undo,
+  };
+}
+
+/**
+ * Run `fn` as a new starting point of a store (`reset`, `restore`).
+ * The root store starts a new history after it, while a child store (or a
+ * mounted one) records it as a single entry, leaving the history of the rest
+ * of the tree as is.
+ *
+ * @param {Object} history
+ * @param {boolean} isOwner - true for the root store of the tree
+ * @param {Function} fn
+ */
+export function startOver(history, isOwner, fn) {
+  if (!isOwner || history.isMounted()) return history.transact(fn);
+  const result = history.ignore(fn);
+  history.clear();
+  return result;
+}
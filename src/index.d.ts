@@ -2,6 +2,8 @@ import type { Readable } from "svelte/store";
 
 export type PathSegment = string | number;
 export type Path = PathSegment[];
+/** Array of segments or string like "presets.0.quantity", "presets/0/quantity" or "address[zip]". */
+export type PathLike = Path | string;
 
 export interface ValidationResult {
   valid: boolean | null;
@@ -12,8 +14,23 @@ export interface ValidationResult {
   [key: string]: unknown;
 }
 
-export type GetFrom = (relPath: string) => unknown;
-export type PredFn<T = unknown> = (value: T, getFrom?: GetFrom) => unknown;
+/**
+ * Read another value of the tree: relative ("../name") or absolute ("/password")
+ * path. "*" segments match every entry of a collection, giving an array.
+ */
+export type GetFrom = (path: string) => unknown;
+
+export interface PredOptions {
+  /** Aborted when the validation is superseded by a newer one. */
+  signal?: AbortSignal;
+  [key: string]: unknown;
+}
+
+export type PredFn<T = unknown> = (
+  value: T,
+  getFrom?: GetFrom,
+  options?: PredOptions
+) => unknown;
 
 export interface SpecmaFns {
   and: (...preds: unknown[]) => unknown;
@@ -24,21 +41,87 @@ export interface SpecmaFns {
   validatePred: (
     pred: unknown,
     value: unknown,
-    getFrom?: GetFrom
+    getFrom?: GetFrom,
+    options?: PredOptions
   ) => ValidationResult;
 }
 
 export interface PredSpecableState<T = unknown> {
   active: boolean;
+  /** Has been blurred at least once. */
+  blurred: boolean;
   changed: boolean;
+  /** `false` when disabled by its `when` condition. */
+  enabled: boolean;
   error: unknown;
   id: unknown;
   initialValue: T;
+  pending: boolean;
   promise: Promise<ValidationResult>;
+  /** Failures, by rule with `allReasons`. `error` is the first one. */
+  reasons: unknown[];
   submitting: boolean;
+  /** Value has been changed by the user. */
+  touched: boolean;
   valid: boolean;
   validating: boolean;
   value: T;
+  /** Has been focused at least once. */
+  visited: boolean;
+  /** Failure of the `warn` spec. Doesn't make the store invalid. */
+  warning: unknown;
+  /** Only published by the root store of a tree. */
+  canUndo?: boolean;
+  /** Only published by the root store of a tree. */
+  canRedo?: boolean;
+}
+
+export interface SetErrorOptions {
+  /** Clear the error on next value change. Defaults to `true`. */
+  clearOnChange?: boolean;
+}
+
+/** Paths (arrays or strings like "address.zip") to errors. "_" targets a collection itself. */
+export type InjectedErrors =
+  | Record<string, unknown>
+  | Map<Path | string, unknown>;
+
+/** Serializable state of a store, from `snapshot()`. */
+export interface Snapshot<T = unknown> {
+  active: boolean;
+  initialValue: T;
+  /** Error injected with `setError`. */
+  injected: { error: unknown; clearOnChange: boolean } | null;
+  value: T;
+  /** Only for arrays: children ids when the initial value was set. */
+  initialIds?: unknown[];
+  /** Only for collections. */
+  children?: Array<Snapshot & { key: unknown; id: unknown }>;
+}
+
+/** JSON Patch (RFC 6902) operation. */
+export type PatchOperation =
+  | { op: "add" | "replace"; path: string; value: unknown }
+  | { op: "remove"; path: string }
+  | { op: "move"; from: string; path: string };
+
+/**
+ * Subtree selected by `select(path)`: the state of the store at `path`
+ * with `value` read from the selecting store, or only `{ value }` if
+ * there is no store at `path`.
+ */
+export type SelectedState = Partial<PredSpecableState> &
+  Partial<CollSpecableState> & { value: unknown };
+
+/** Answer of a dry run (`validate`, `validateIn`). */
+export interface ValidateResult {
+  valid: boolean;
+  errors: CollError[];
+}
+
+export interface Select {
+  (path?: PathLike): Readable<SelectedState>;
+  <R>(path: PathLike, fn: (state: SelectedState) => R): Readable<R>;
 }
 
 export interface PredSpecableStore<T = unknown>
@@ -47,32 +130,92 @@ export interface PredSpecableStore<T = unknown>
   isRequired: boolean;
   spec: unknown;
   activate: (bool?: boolean) => Promise<boolean>;
+  activateIn: (path: PathLike, bool?: boolean) => Promise<boolean>;
+  blur: (bool?: boolean) => void;
+  clearErrors: () => void;
+  deleteIn: (path: PathLike) => void;
+  /** Changed subtree, or undefined if unchanged. */
+  getChanges: () => unknown;
+  getIn: (path: PathLike) => unknown;
+  getPatch: () => PatchOperation[];
+  redo: () => boolean;
   reset: (newValue?: T) => void;
+  restore: (snapshot: Snapshot<T>) => this;
+  /** Only notifies when the (projected) subtree changes. */
+  select: Select;
   set: (newValue: T, shouldActivate?: boolean) => void;
-  submit: () => Promise<boolean | undefined>;
+  setIn: (path: PathLike, value: unknown, shouldActivate?: boolean) => void;
+  setError: (error: unknown, options?: SetErrorOptions) => void;
+  setErrors: (errors: unknown, options?: SetErrorOptions) => void;
+  snapshot: () => Snapshot<T>;
+  submit: (options?: SubmitOptions) => Promise<boolean | undefined>;
+  /** Only defined on stores created with `persist`. */
+  clearDraft?: () => void;
+  touch: (bool?: boolean) => void;
+  transaction: <R>(fn: () => R) => R;
+  undo: () => boolean;
+  updateIn: (
+    path: PathLike,
+    fn: (value: unknown) => unknown,
+    shouldActivate?: boolean
+  ) => void;
+  /** Validate without changing any state. */
+  validate: () => Promise<ValidateResult>;
+  validateIn: (path: PathLike) => Promise<ValidateResult>;
+  visit: (bool?: boolean) => void;
 }
 
 export interface CollError {
   path: Path;
+  /** JSON Pointer of the value, from the store (with keys, not ids). */
+  pointer: string;
   which?: string;
   error: unknown;
   isColl?: boolean;
   [key: string]: unknown;
 }
 
+export interface CollWarning {
+  path: Path;
+  pointer: string;
+  which: string;
+  warning: unknown;
+  isColl?: boolean;
+}
+
+export interface SubmitOptions {
+  /** Don't submit when there are warnings. Defaults to `false`. */
+  blockOnWarnings?: boolean;
+}
+
 export interface CollSpecableState<T = unknown> {
   active: boolean | null;
+  blurred: boolean;
   changed: boolean;
+  pending: boolean;
+  touched: boolean;
+  visited: boolean;
   valid: boolean | null;
   validating: boolean;
   id: unknown;
   initialValue: T;
   value: T;
   error: unknown;
+  reasons: unknown[];
+  /** One entry per reason. */
   errors: CollError[];
   collErrors: CollError[];
+  /** Errors of fields, mirroring the value shape. */
+  errorTree: unknown;
+  warning: unknown;
+  warnings: CollWarning[];
+  collWarnings: CollWarning[];
   details: Record<string, unknown>;
   submitting: boolean;
+  /** Only published by the root store of a tree. */
+  canUndo?: boolean;
+  /** Only published by the root store of a tree. */
+  canRedo?: boolean;
 }
 
 export type AnySpecableStore<T = unknown> =
@@ -94,22 +237,178 @@ export interface CollSpecableStore<T = unknown>
   spec: unknown;
   stores: ChildrenStores;
   activate: (bool?: boolean) => Promise<boolean>;
+  activateIn: (path: PathLike, bool?: boolean) => Promise<boolean>;
   add: (coll: unknown) => this;
+  blur: (bool?: boolean) => void;
+  clearErrors: () => void;
+  deleteIn: (path: PathLike) => this;
   getChild: (path?: Path) => AnySpecableStore | null;
   getChildren: () => ChildrenStores;
+  /** Changed subtree, or undefined if unchanged. */
+  getChanges: () => unknown;
+  getIn: (path: PathLike) => unknown;
+  getPatch: () => PatchOperation[];
+  redo: () => boolean;
   remove: (idsToRemove?: unknown[]) => this;
   reset: (newInitialValue?: T) => this;
+  restore: (snapshot: Snapshot<T>) => this;
+  /** Only notifies when the (projected) subtree changes. */
+  select: Select;
   set: (coll: unknown, partial?: boolean, shouldActivate?: boolean) => this;
+  setIn: (path: PathLike, value: unknown, shouldActivate?: boolean) => this;
+  setError: (error: unknown, options?: SetErrorOptions) => this;
+  setErrors: (errors: InjectedErrors, options?: SetErrorOptions) => this;
+  touch: (bool?: boolean) => void;
+  transaction: <R>(fn: () => R) => R;
+  undo: () => boolean;
   update: (fn: (stores: ChildrenStores) => ChildrenStores) => this;
+  updateIn: (
+    path: PathLike,
+    fn: (value: unknown) => unknown,
+    shouldActivate?: boolean
+  ) => this;
+  /** Validate without changing any state. */
+  validate: () => Promise<ValidateResult>;
+  validateIn: (path: PathLike) => Promise<ValidateResult>;
+  visit: (bool?: boolean) => void;
   children: Readable<ChildrenStores>;
-  submit: () => Promise<boolean | undefined>;
+  snapshot: () => Snapshot<T>;
+  submit: (options?: SubmitOptions) => Promise<boolean | undefined>;
+  /** Only defined on stores created with `persist`. */
+  clearDraft?: () => void;
+}
+
+/** `true` for the default limit, or the maximum number of entries. */
+export type HistoryOption = boolean | number;
+
+/** Web Storage like (`localStorage`, `sessionStorage`) or Map-like storage. */
+export type PersistStorage =
+  | Pick<Storage, "getItem" | "setItem" | "removeItem">
+  | {
+      get: (key: string) => unknown;
+      set: (key: string, draft: unknown) => unknown;
+      delete: (key: string) => unknown;
+    };
+
+export interface PersistDraft<T = unknown> {
+  version?: unknown;
+  value: T;
+  initialValue: T;
+  /** Paths of active stores, when saved with `active: true`. */
+  active?: Path[];
+}
+
+/** Only used by `specable`. */
+export interface PersistOption<T = unknown> {
+  key: string;
+  /** `localStorage` by default. */
+  storage?: PersistStorage;
+  /** `1` by default. */
+  version?: unknown;
+  migrate?: (
+    draft: PersistDraft<any>,
+    fromVersion: unknown
+  ) => PersistDraft<T> | null | undefined | false;
+  /** Milliseconds, `300` by default. */
+  debounce?: number;
+  /** Also save and restore active flags. */
+  active?: boolean;
+}
+
+/** Event activating a store (`validateOn`) or validating its changes once active (`revalidateOn`). */
+export type ValidationEvent = "change" | "blur" | "submit";
+
+/** Event, or a collection of them by field. */
+export type ValidationEventOption =
+  | ValidationEvent
+  | unknown[]
+  | Map<unknown, unknown>
+  | Record<string, unknown>;
+
+export interface ValidationIssue {
+  message: unknown;
+  /** Keys from the validated value, defaults to the value itself. */
+  path?: (PathSegment | { key: PathSegment })[];
+}
+
+/** Validates specs of another engine than Specma. */
+export interface ValidationAdapter {
+  test: (spec: unknown) => boolean;
+  validate: (
+    spec: unknown,
+    value: unknown
+  ) =>
+    | ValidationIssue[]
+    | undefined
+    | Promise<ValidationIssue[] | undefined>;
+}
+
+export interface FormatErrorContext {
+  /** Ids from the root store, like `errors` paths. */
+  path: Path;
+  value: unknown;
+  id: unknown;
+  locale: unknown;
+}
+
+export interface ConfigureOptions {
+  /** Defaults to "blur". */
+  validateOn?: ValidationEvent;
+  /** Defaults to "change". */
+  revalidateOn?: ValidationEvent;
+  /** Render reasons (errors and warnings) as messages. */
+  formatError?: (reason: unknown, context: FormatErrorContext) => unknown;
+  /** Messages are rendered again when it changes. */
+  locale?: Readable<unknown>;
+  /** Tested in order, before the Standard Schema adapter. */
+  adapters?: ValidationAdapter[];
+}
+
+/** Boolean, or a collection of them by field. */
+export type FlagOption =
+  | boolean
+  | unknown[]
+  | Map<unknown, unknown>
+  | Record<string, unknown>;
+
+/** Milliseconds, or a collection of them by field. */
+export type TimingOption =
+  | number
+  | unknown[]
+  | Map<unknown, unknown>
+  | Record<string, unknown>;
+
+/** Only defined on array collections. Negative indices count from the end. */
+export interface FieldArrayMethods<T = unknown> {
+  append: (value: T) => this;
+  insert: (index: number, value: T) => this;
+  move: (from: number, to: number) => this;
+  prepend: (value: T) => this;
+  removeAt: (index: number) => this;
+  swap: (a: number, b: number) => this;
 }
 
 export interface PredSpecableOptions<T = unknown> {
+  /** Adapter of `spec` and `warn`, detected when undefined. */
+  adapter?: ValidationAdapter;
+  /** Report every failing rule of the spec (see `rules`) as `reasons`. */
+  allReasons?: boolean;
   changePred?: (a: T, b: T) => boolean;
+  debounce?: number;
+  history?: HistoryOption;
   id?: unknown;
   required?: unknown;
+  revalidateOn?: ValidationEvent;
   spec?: unknown;
+  throttle?: number;
+  validateOn?: ValidationEvent;
+  /** Spec whose failures are warnings. */
+  warn?: unknown;
+  /** Enable the store depending on other values (usually set in `fields`). */
+  when?: (getFrom: GetFrom) => boolean;
+  /** Only used by `specable`: restore this snapshot on creation. */
+  hydrate?: Snapshot<T>;
+  persist?: PersistOption<T>;
   onSubmit?: (
     value: T,
     form: PredSpecableStore<T>
@@ -117,21 +416,45 @@ export interface PredSpecableOptions<T = unknown> {
 }
 
 export interface CollSpecableOptions<T = unknown> {
+  /** Adapter of `spec` and `warn`, detected when undefined. */
+  adapter?: ValidationAdapter;
+  /** Report every failing rule of the specs (see `rules`) as `reasons`. */
+  allReasons?: FlagOption;
   changePred?: unknown;
+  debounce?: TimingOption;
+  /** Child specs by key. Specable stores given here are mounted as children. */
   fields?: unknown;
   getId?: unknown;
+  history?: HistoryOption;
   id?: unknown;
   required?: unknown;
+  revalidateOn?: ValidationEventOption;
   spec?: unknown;
+  throttle?: TimingOption;
+  validateOn?: ValidationEventOption;
+  /** Spec whose failures are warnings. */
+  warn?: unknown;
+  /** Enable the store depending on other values (usually set in `fields`). */
+  when?: (getFrom: GetFrom) => boolean;
+  /** Only used by `specable`: restore this snapshot on creation. */
+  hydrate?: Snapshot<T>;
+  persist?: PersistOption<T>;
   onSubmit?: (
     value: T,
     form: CollSpecableStore<T>
   ) => unknown | Promise<unknown>;
 }
 
+/**
+ * Raw element value: a string for most inputs, a boolean or an array of
+ * values for checkboxes, an array for `<select multiple>`, a `FileList`
+ * for file inputs.
+ */
+export type RegisterRawValue = string | boolean | string[] | FileList | null;
+
 export interface RegisterTransforms<T = unknown> {
-  toInput?: (value: T) => string;
-  toValue?: (rawValue: string) => T;
+  toInput?: (value: T) => RegisterRawValue | unknown;
+  toValue?: (rawValue: RegisterRawValue) => T;
 }
 
 export type RegisterArgs<T = unknown> =
@@ -143,7 +466,26 @@ export interface RegisterAction {
   update: (newArgs: RegisterArgs | null | undefined) => void;
 }
 
-export function configure(specmaFns: SpecmaFns): void;
+export interface FormActionOptions {
+  /** `register` transforms by input name. */
+  transforms?: Record<string, RegisterTransforms>;
+  /** Called when `onSubmit` throws, instead of setting the error on the store. */
+  onError?: (error: unknown, store: CollSpecableStore) => void;
+}
+
+export type FormActionArgs =
+  | CollSpecableStore
+  | [CollSpecableStore, FormActionOptions];
+
+export interface FormAction {
+  destroy: () => void;
+  update: (newArgs: FormActionArgs | null | undefined) => void;
+}
+
+export function configure(
+  specmaFns: SpecmaFns,
+  options?: ConfigureOptions
+): void;
 
 export function predSpecable<T = unknown>(
   initialValue: T,
@@ -161,7 +503,7 @@ export function specable<T = unknown>(
   initialValue: T[],
   options?: CollSpecableOptions<T[]>,
   _extra?: Record<string, unknown>
-): CollSpecableStore<T[]>;
+): CollSpecableStore<T[]> & FieldArrayMethods<T>;
 
 export function specable<K, V>(
   initialValue: Map<K, V>,
@@ -187,7 +529,31 @@ export function specable<T = unknown>(
   _extra?: Record<string, unknown>
 ): AnySpecableStore<T>;
 
+/** Mount existing stores, not mounted elsewhere, as the children of a new collection store. */
+export function combine<T extends Record<string, unknown>>(
+  stores: { [K in keyof T]: AnySpecableStore<T[K]> },
+  options?: Omit<CollSpecableOptions<T>, "fields">
+): CollSpecableStore<T>;
+
+export function combine<K, V>(
+  stores: Map<K, AnySpecableStore<V>>,
+  options?: Omit<CollSpecableOptions<Map<K, V>>, "fields">
+): CollSpecableStore<Map<K, V>>;
+
+/** Adapter of Standard Schema specs (`~standard.validate`), always detected. */
+export const standardSchemaAdapter: ValidationAdapter;
+
+/** Combine predicate specs, keeping their rules apart for `allReasons`. */
+export function rules(
+  ...specs: unknown[]
+): (value: unknown, getFrom: GetFrom) => unknown;
+
 export function register<T = unknown>(
-  el: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement,
+  el: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement | HTMLElement,
   storeOrArgs?: RegisterArgs<T> | null
 ): RegisterAction | undefined;
+
+export function form(
+  el: HTMLFormElement | HTMLElement,
+  storeOrArgs?: FormActionArgs | null
+): FormAction | undefined;
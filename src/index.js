@@ -1,5 +1,9 @@
+export { standardSchemaAdapter } from "./adapters";
 export { default as collSpecable } from "./collSpecable";
+export { default as combine } from "./combine";
 export { default as configure } from "./configure";
+export { default as form } from "./form";
 export { default as predSpecable } from "./predSpecable";
 export { default as register } from "./register";
+export { default as rules } from "./rules";
 export { default as specable } from "./specable";
@@ -0,0 +1,83 @@
+import { toPointer } from "./util";
+
+/**
+ * patch.js
+ *
+ * Helpers producing JSON Patch (RFC 6902) operations for `getPatch()`.
+ * Stores build their patch recursively, each one appending its key to the
+ * JSON Pointer of its parent.
+ */
+
+/**
+ * Append a key to a JSON Pointer.
+ * @param {string} pointer
+ * @param {string|number|any} key
+ * @returns {string}
+ */
+export const appendPointer = (pointer, key) => pointer + toPointer([key]);
+
+/**
+ * Operation replacing `from` by `to` at `pointer`. An undefined value
+ * means that the location is missing (`add` or `remove` operation).
+ * The whole document ("" pointer) is always replaced.
+ *
+ * @param {string} pointer
+ * @param {any} from
+ * @param {any} to
+ * @returns {Object} JSON Patch operation
+ */
+export function valueOp(pointer, from, to) {
+  if (pointer && to === undefined) return { op: "remove", path: pointer };
+  if (pointer && from === undefined)
+    return { op: "add", path: pointer, value: to };
+  return { op: "replace", path: pointer, value: to };
+}
+
+/**
+ * Operations turning an array of items identified by `initialIds` into one
+ * identified by `currentIds`: removals first, then moves and additions in
+ * increasing target index. Items kept are only moved, so their own changes
+ * can be patched afterwards at their current index.
+ *
+ * @param {string} pointer - pointer of the array
+ * @param {Array} initialIds
+ * @param {Array} currentIds
+ * @param {Function} getValue - (index) => current value of a new item
+ * @returns {Array<Object>} JSON Patch operations
+ */
+export function idsOps(pointer, initialIds, currentIds, getValue) {
+  const ops = [];
+  const working = [...initialIds];
+
+  for (let i = working.length - 1; i >= 0; i -= 1) {
+    if (!currentIds.includes(working[i])) {
+      ops.push({ op: "remove", path: appendPointer(pointer, i) });
+      working.splice(i, 1);
+    }
+  }
+
+  currentIds.forEach((id, i) => {
+    const from = working.indexOf(id);
+    if (from === i) return;
+
+    if (from < 0) {
+      ops.push({
+        op: "add",
+        path: appendPointer(pointer, i),
+        value: getValue(i),
+      });
+      working.splice(i, 0, id);
+      return;
+    }
+
+    ops.push({
+      op: "move",
+      from: appendPointer(pointer, from),
+      path: appendPointer(pointer, i),
+    });
+    working.splice(from, 1);
+    working.splice(i, 0, id);
+  });
+
+  return ops;
+}
@@ -0,0 +1,224 @@
+import cloneDeep from "clone-deep";
+import { equals, entries, get, isFunc } from "./util";
+
+/**
+ * persist.js
+ *
+ * Draft persistence for specable stores.
+ *
+ * When `specable` receives a `persist` option, the store is wrapped so that:
+ * - a draft saved under `persist.key` is restored on creation (value,
+ *   initial value and, optionally, active flags);
+ * - while the store has subscribers, its state is saved after each change,
+ *   debounced by `persist.debounce` ms;
+ * - a store without changes has no draft;
+ * - the draft is cleared after a successful `submit`.
+ *
+ * Storage adapters can be:
+ * - a Web Storage (`localStorage`, `sessionStorage`) or any object with
+ *   `getItem`, `setItem` and `removeItem`: drafts are saved as JSON strings;
+ * - a Map-like object with `get`, `set` and `delete` (e.g. `new Map()` for
+ *   an in-memory storage): drafts are saved as cloned objects.
+ */
+
+/**
+ * Default number of ms to wait after the last change before saving.
+ * @type {number}
+ */
+const DEFAULT_DEBOUNCE = 300;
+
+/**
+ * Adapt a storage to a `{ read, write, remove }` interface.
+ * @param {Object} storage
+ * @returns {{ read: Function, write: Function, remove: Function }}
+ * @throws {TypeError} if the storage has neither interface
+ */
+function toAdapter(storage) {
+  if (storage && isFunc(storage.getItem)) {
+    return {
+      read(key) {
+        const json = storage.getItem(key);
+        return json ? JSON.parse(json) : undefined;
+      },
+      write: (key, draft) => storage.setItem(key, JSON.stringify(draft)),
+      remove: (key) => storage.removeItem(key),
+    };
+  }
+
+  if (storage && isFunc(storage.get)) {
+    return {
+      read: (key) => cloneDeep(storage.get(key)),
+      write: (key, draft) => storage.set(key, cloneDeep(draft)),
+      remove: (key) => storage.delete(key),
+    };
+  }
+
+  throw new TypeError(
+    "'persist.storage' must implement 'getItem', 'setItem' and 'removeItem' or 'get', 'set' and 'delete'"
+  );
+}
+
+/**
+ * Adapter used without storage (e.g. server-side rendering): nothing is
+ * ever saved nor restored.
+ */
+const NOOP_ADAPTER = {
+  read: () => undefined,
+  write: () => {},
+  remove: () => {},
+};
+
+/**
+ * Read the saved draft, migrating it when its version differs.
+ * Unreadable drafts or drafts that can't be migrated are discarded.
+ */
+function readDraft(adapter, { key, migrate, version }) {
+  let draft;
+  try {
+    draft = adapter.read(key);
+  } catch (err) {
+    draft = undefined;
+  }
+  if (!draft) return undefined;
+  if (draft.version === version) return draft;
+
+  const migrated = migrate ? migrate(draft, draft.version) : undefined;
+  if (migrated) return { ...migrated, version };
+
+  adapter.remove(key);
+  return undefined;
+}
+
+/**
+ * List paths of active stores in a tree, stopping at fully active
+ * collections (`active === true`), since activating them activates
+ * their whole subtree.
+ */
+function collectActivePaths(store, status, path = []) {
+  if (!status || status.active === false) return [];
+  if (!store.getChildren || status.active === true) return [path];
+
+  return entries(store.getChildren()).flatMap(([key, child]) =>
+    collectActivePaths(child, get(child.id, status.details), [...path, key])
+  );
+}
+
+/**
+ * persisted
+ *
+ * Create a specable store with draft persistence.
+ *
+ * Parameters:
+ * - create: the store factory (`specable`)
+ * - initialValue, options, _extra: forwarded to `create`, where
+ *   `options.persist` configures persistence:
+ *   - key: storage key (required)
+ *   - storage: storage adapter (defaults to `localStorage`; without it,
+ *     as in server-side rendering, drafts are neither saved nor restored)
+ *   - version: draft version (defaults to 1)
+ *   - migrate(draft, fromVersion): returns an updated draft
+ *     `{ value, initialValue, active }` or a falsy value to discard it
+ *   - debounce: ms to wait before saving (defaults to 300)
+ *   - active: also save and restore active flags (defaults to false)
+ *
+ * Returns the store, with a `clearDraft()` method.
+ */
+export default function persisted(
+  create,
+  initialValue,
+  { persist, ...options },
+  _extra
+) {
+  const {
+    active: shouldSaveActive = false,
+    debounce = DEFAULT_DEBOUNCE,
+    key,
+    migrate,
+    storage = typeof localStorage === "undefined" ? undefined : localStorage,
+    version = 1,
+  } = persist;
+
+  if (!key) throw new TypeError("'persist.key' must be defined");
+  const adapter = storage === undefined ? NOOP_ADAPTER : toAdapter(storage);
+
+  const draft = readDraft(adapter, { key, migrate, version });
+  const store = create(
+    draft && "initialValue" in draft ? draft.initialValue : initialValue,
+    options,
+    _extra
+  );
+
+  /* The restored draft is where the history starts. */
+  if (draft) {
+    store._startOver(() => {
+      store.set(draft.value);
+      (draft.active || []).forEach((path) => store.activateIn(path));
+    });
+  }
+
+  let lastDraft = draft;
+  let timer;
+  let pendingDraft;
+  let subscribersCount = 0;
+  let unsubSave;
+
+  function write() {
+    clearTimeout(timer);
+    timer = undefined;
+    if (pendingDraft === undefined) return;
+
+    const next = pendingDraft;
+    pendingDraft = undefined;
+    if (equals(next, lastDraft)) return;
+
+    lastDraft = next;
+    if (next) adapter.write(key, next);
+    else adapter.remove(key);
+  }
+
+  function scheduleSave(status) {
+    pendingDraft = status.changed
+      ? {
+          version,
+          value: status.value,
+          initialValue: status.initialValue,
+          ...(shouldSaveActive
+            ? { active: collectActivePaths(store, status) }
+            : {}),
+        }
+      : null;
+    clearTimeout(timer);
+    timer = setTimeout(write, debounce);
+  }
+
+  function clearDraft() {
+    clearTimeout(timer);
+    timer = undefined;
+    pendingDraft = undefined;
+    lastDraft = null;
+    adapter.remove(key);
+  }
+
+  /* Save only while the store is subscribed to. */
+  function subscribe(fn) {
+    if (subscribersCount < 1) unsubSave = store.subscribe(scheduleSave);
+    subscribersCount += 1;
+    const unsub = store.subscribe(fn);
+
+    return () => {
+      unsub();
+      subscribersCount -= 1;
+      if (subscribersCount > 0) return;
+      unsubSave();
+      write();
+    };
+  }
+
+  async function submit(submitOptions) {
+    const submitted = await store.submit(submitOptions);
+    if (submitted) clearDraft();
+    return submitted;
+  }
+
+  return { ...store, clearDraft, submit, subscribe };
+}
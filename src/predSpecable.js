@@ -1,141 +1,468 @@
-import { derived, get as getStoreValue, writable } from "svelte/store";
-import { ALWAYS_VALID } from "./constants";
-import { countPathAncestors, equals, getPath, keepForwardPath } from "./util";
-import collDerived from "./collDerived";
-import { specma, ensureConfigured } from "./configure";
+import {
+  derived,
+  get as getStoreValue,
+  readable,
+  writable,
+} from "svelte/store";
+import { schemaPred, toSchemaNode } from "./adapters";
+import { ALWAYS_VALID, BATCHED_METHODS } from "./constants";
+import { batchMethods } from "./flexDerived";
+import {
+  assocPath,
+  createAbortController,
+  defaultChangePred,
+  dissocPath,
+  equals,
+  get,
+  getPath,
+  isColl,
+  isMissing,
+  toPath,
+} from "./util";
+import { ensureConfigured, getSettings, getSpecma } from "./configure";
+import createContext from "./context";
+import createHistory, { startOver } from "./history";
+import { valueOp } from "./patch";
+import { getRules, reqSpec } from "./rules";
+import selectSlice from "./select";
 import writableByValue from "./writableByValue";
 
 const alwaysTrue = () => true;
-const isMissing = (x) => [undefined, null, ""].includes(x);
-const defaultChangePred = (a, b) => !equals(a, b);
+const noop = () => {};
 
-const reqSpec = (x) => !isMissing(x) || specma.getMessage("isRequired");
+const UNTOUCHED = { blurred: false, touched: false, visited: false };
 
 /**
  * Create a predicate spec-aware Svelte store for a single value.
  *
  * The store validates a primitive or non-collection value against a Specma
  * predicate spec and exposes helper methods like `.activate()`, `.set()`,
- * `.reset()` and `.submit()`.
+ * `.reset()` and `.submit()`. Its state can be serialized with `.snapshot()`
+ * and rebuilt with `.restore(snapshot)`.
  *
  * @param {any} initialValue - initial value to validate
  * @param {Object} [options]
+ * @param {Object} [options.adapter] - validation adapter of `spec` and `warn`
+ *   (see adapters.js), detected when undefined
+ * @param {boolean} [options.allReasons] - validate each rule of the spec
+ *   (see `rules`) to get all failures as `reasons`, instead of the first
  * @param {Function} [options.changePred] - (a,b)=>boolean, determines changed state
+ * @param {number} [options.debounce] - ms to wait after last change before validating
+ * @param {boolean|number} [options.history] - enable undo/redo (max entries)
  * @param {any} [options.id] - optional identifier
  * @param {boolean} [options.required] - is value required
- * @param {any} [options.spec] - Specma spec (predicate)
+ * @param {any} [options.spec] - Specma spec (predicate) or a spec handled
+ *   by an adapter (e.g. a Standard Schema). Its `getFrom` argument
+ *   reads other values of the tree by path: relative ("../name") or absolute
+ *   from the root ("/password"). A "*" segment matches every entry of a
+ *   collection, giving an array. Changes of these values trigger validation.
+ * @param {number} [options.throttle] - min ms between two validations on change
+ * @param {any} [options.warn] - Specma spec (predicate) whose failure is a
+ *   `warning`, which doesn't make the store invalid
+ * @param {string} [options.validateOn] - "change", "blur" or "submit": user
+ *   interaction activating the store (defaults to configured setting)
+ * @param {string} [options.revalidateOn] - "change", "blur" or "submit": when
+ *   changes of an active store are validated (defaults to configured setting)
+ * @param {Function} [options.when] - (getFrom)=>boolean, enables the store.
+ *   A disabled store is not validated nor activated, and its collection
+ *   leaves it out of its value and status.
  * @param {Function} [options.onSubmit] - optional submit handler
- * @param {Object} [_extra] - internal helpers (e.g. getAncestor)
+ * @param {Object} [_extra] - internal helpers (e.g. getAncestor, history,
+ *   path of ids from the root given to `formatError`)
  * @returns {import('svelte/store').Readable}
  */
 export default function predSpecable(
   initialValue,
-  { changePred = defaultChangePred, id, required, spec, onSubmit } = {},
+  {
+    adapter,
+    allReasons = false,
+    changePred = defaultChangePred,
+    debounce,
+    history: historyOption,
+    id,
+    required,
+    spec,
+    throttle,
+    validateOn = getSettings().validateOn,
+    warn,
+    revalidateOn = getSettings().revalidateOn,
+    when,
+    onSubmit,
+  } = {},
   _extra = {}
 ) {
   ensureConfigured();
-  const { and, getPred, validatePred } = specma;
+  const { and, getPred, validatePred } = getSpecma();
+
+  const { getAncestor, path = [] } = _extra;
+  const { formatError, locale = readable(undefined) } = getSettings();
+  /* History is shared by the whole tree and owned by its root store. */
+  const isHistoryOwner = !_extra.history;
+  const history = _extra.history || createHistory(historyOption);
+  const toPred = (aSpec) => {
+    const schema = toSchemaNode(aSpec, adapter);
+    return schema ? schemaPred(schema) : getPred(aSpec);
+  };
 
-  const { getAncestor } = _extra;
-  const pred = getPred(spec) || alwaysTrue;
+  const pred = toPred(spec) || alwaysTrue;
   const isRequired = !!required;
   const ownSpec = isRequired ? and(reqSpec, pred) : pred;
+  const warnPred = toPred(warn);
 
-  const contextStores = {};
-  const context = collDerived(contextStores);
+  const context = createContext(getAncestor);
+  const enabled = when
+    ? derived(context, ($context) => !!when(context.getFrom($context)))
+    : readable(true);
+  const isEnabled = () => getStoreValue(enabled);
 
-  function addContext(relPath) {
-    /* If `getFrom` has already been called once,
-     * context store is already tracking the value. */
-    if (contextStores[relPath]) return;
+  let currPromise;
+  let flushPending = noop;
+  let isDeferred = false;
+  let lastResult;
+  let lastRunAt = 0;
+  let prevActive = false;
+  let prevValue = initialValue;
+  let _initialValue = initialValue;
 
-    const ancestor = getAncestor(countPathAncestors(relPath));
-    if (!ancestor) return;
+  const active = writable(false);
+  /* Incremented to validate changes deferred by `revalidateOn`. */
+  const revalidation = writable(0);
+  const submitting = writable(false);
+  const value = writableByValue(_initialValue);
 
-    const pathSinceAncestor = keepForwardPath(relPath);
+  /* Error set from outside of the spec (e.g. by the server),
+   * as `{ error, clearOnChange }`. */
+  let injectedError = null;
+  const injected = writable(injectedError);
 
-    contextStores[relPath] = derived(ancestor, ($ancestor, set) => {
-      const ancestorValue = $ancestor.value;
-      if (!ancestorValue) return;
+  function setInjected(next) {
+    if (next === injectedError) return;
+    injectedError = next;
+    injected.set(next);
+  }
 
-      const curr = contextStores[relPath].value;
-      const next = getPath(pathSinceAncestor, ancestorValue);
-      if (!equals(curr, next)) {
-        contextStores[relPath].value = next;
-        set(next);
-      }
-    });
-    context.set(contextStores);
+  /* User interaction flags, reported by `register` or set manually.
+   * A "change" (touch) or "blur" event can activate the store or
+   * validate its deferred changes, according to `validateOn` and
+   * `revalidateOn`. */
+  const interaction = writable(UNTOUCHED);
+  const setInteraction = (key, event) => (bool = true) => {
+    interaction.update((prev) =>
+      prev[key] === bool ? prev : { ...prev, [key]: bool }
+    );
+    if (!bool || !event) return;
+    if (validateOn === event) active.set(true);
+    if (revalidateOn === event) revalidate();
+    /* Leaving a field validates its pending value right away. */
+    if (event === "blur") flushPending();
+  };
 
-    /* If context has just been created, it won't be accessible
-     * in the derived store at first.
-     * In that case, return the static store value. */
-    return getPath(pathSinceAncestor, getStoreValue(ancestor).value);
+  function revalidate() {
+    if (isDeferred) revalidation.update((n) => n + 1);
   }
 
-  let currPromise;
-  let _initialValue = initialValue;
+  /* Number of ms to wait before validating a changed value. */
+  function getDelay() {
+    if (debounce > 0) return debounce;
+    if (throttle > 0) return Math.max(0, lastRunAt + throttle - Date.now());
+    return 0;
+  }
 
-  const active = writable(false);
-  const submitting = writable(false);
-  const value = writableByValue(_initialValue);
+  /* Resolve a superseded validation with the one that replaced it. */
+  const followLatest = (promise) =>
+    Promise.resolve().then(() =>
+      currPromise && currPromise !== promise ? currPromise : { valid: null }
+    );
+
+  /* Validate a value with the spec, then the `warn` spec. */
+  function validateValue($value, getFrom, signal) {
+    const validateWith = (aPred) =>
+      enhanceResult(validatePred(aPred, $value, getFrom, { signal }));
+
+    /* The required rule comes first and is the only
+     * reason of a missing value. */
+    function validateAll() {
+      const reqResult = isRequired ? validateWith(reqSpec) : undefined;
+      if (reqResult && reqResult.valid === false) return reqResult;
+      return withReasons(getRules(pred).map(validateWith));
+    }
 
-  const store = derived(
-    [active, value, context, submitting],
-    ([$active, $value, $context, $submitting], set) => {
-      currPromise = undefined;
+    const specResult = allReasons ? validateAll() : validateWith(ownSpec);
+    return warnPred
+      ? withWarning(specResult, validateWith(warnPred))
+      : specResult;
+  }
 
-      function getFrom(relPath) {
-        if (!contextStores[relPath]) {
-          return addContext(relPath);
-        }
-        return $context[relPath];
-      }
+  const validation = derived(
+    [active, value, context, submitting, revalidation, enabled],
+    ([$active, $value, $context, $submitting, , $enabled], set) => {
+      /* Only value changes are delayed. Other triggers
+       * (activation, submission, context) validate right away. */
+      const isValueChange = $value !== prevValue;
+      const delay = isValueChange ? getDelay() : 0;
+      const wasActive = prevActive;
+      prevValue = $value;
+      prevActive = $active;
+      flushPending = noop;
 
-      const shouldValidate = $active && ($value !== undefined || required);
+      const getFrom = context.getFrom($context);
+
+      const shouldValidate =
+        $enabled && $active && ($value !== undefined || required);
+      const controller = shouldValidate ? createAbortController() : undefined;
 
-      const result = enhanceResult(
-        shouldValidate ? validatePred(ownSpec, $value, getFrom) : ALWAYS_VALID
-      );
       const baseArgs = {
         active: $active,
         changePred,
         initialValue: _initialValue,
         id,
-        result,
         submitting: $submitting,
         value: $value,
       };
 
-      currPromise = result.promise;
+      /* Changes of an active store keep its last settled result
+       * until the `revalidateOn` event. */
+      const shouldDefer =
+        shouldValidate &&
+        wasActive &&
+        isValueChange &&
+        revalidateOn !== "change" &&
+        lastResult &&
+        lastResult.valid !== null;
+
+      if (shouldDefer) {
+        isDeferred = true;
+        currPromise = Promise.resolve(lastResult);
+        set(
+          interpretState({
+            ...baseArgs,
+            result: { ...lastResult, promise: currPromise },
+          })
+        );
+        return;
+      }
+      isDeferred = false;
 
-      set(interpretState(baseArgs));
+      function validate() {
+        if (!shouldValidate) return enhanceResult(ALWAYS_VALID);
+        return validateValue($value, getFrom, controller && controller.signal);
+      }
 
-      if (result.valid === null) {
-        result.promise.then((resolvedResult) => {
-          /* Promise might be outdated */
-          if (result.promise !== currPromise) return;
+      function run() {
+        lastRunAt = Date.now();
+        const result = validate();
 
-          set(interpretState({ ...baseArgs, result: resolvedResult }));
+        /* An aborted validation follows the one that replaced it. */
+        const promise = result.promise.catch((err) => {
+          if (controller && controller.signal.aborted) {
+            return followLatest(promise);
+          }
+          throw err;
         });
+        currPromise = promise;
+        lastResult = result;
+
+        set(interpretState({ ...baseArgs, result: { ...result, promise } }));
+
+        if (result.valid === null) {
+          promise.then((resolvedResult) => {
+            /* Promise might be outdated */
+            if (promise !== currPromise) return;
+
+            lastResult = resolvedResult;
+            set(interpretState({ ...baseArgs, result: resolvedResult }));
+          });
+        }
+        return promise;
+      }
+
+      function abort() {
+        if (controller) controller.abort();
       }
+
+      if (!shouldValidate || delay <= 0) {
+        run();
+        return abort;
+      }
+
+      /* Validation is delayed: publish a pending state
+       * whose promise resolves with the actual validation. */
+      let timer;
+      let resolvePending;
+      const pending = new Promise((resolve) => {
+        resolvePending = resolve;
+      });
+
+      flushPending = () => {
+        clearTimeout(timer);
+        flushPending = noop;
+        resolvePending(run());
+      };
+      timer = setTimeout(flushPending, delay);
+
+      currPromise = pending;
+      set(
+        interpretState({
+          ...baseArgs,
+          result: { valid: null, pending: true, promise: pending },
+        })
+      );
+
+      return function cleanup() {
+        if (flushPending !== noop) {
+          clearTimeout(timer);
+          flushPending = noop;
+          resolvePending(followLatest(pending));
+        }
+        abort();
+      };
     }
   );
 
+  /* Render a reason with `formatError`, if configured. */
+  const formatReason = (reason, $locale, $value) =>
+    !formatError || reason === false
+      ? reason
+      : formatError(reason, { id, locale: $locale, path, value: $value });
+
+  /* Add interaction and enabled flags. An injected error
+   * takes precedence over the validation result. Messages are
+   * rendered with `formatError`, again on each locale change. */
+  const checked = derived(
+    [validation, injected, interaction, enabled, locale],
+    ([$validation, $injected, $interaction, $enabled, $locale]) => {
+      const state = {
+        ...$validation,
+        ...$interaction,
+        enabled: $enabled,
+        ...($injected
+          ? { error: $injected.error, reasons: [$injected.error], valid: false }
+          : {}),
+      };
+      if (!formatError) return state;
+
+      const format = (reason) => formatReason(reason, $locale, state.value);
+      return {
+        ...state,
+        error: format(state.error),
+        reasons: state.reasons.map(format),
+        warning: format(state.warning),
+      };
+    }
+  );
+
+  /* Only the root store publishes the history flags. */
+  const store = isHistoryOwner
+    ? derived([checked, history], ([$checked, $history]) => ({
+        ...$checked,
+        ...$history,
+      }))
+    : checked;
+
+  const peekValue = () => getStoreValue(value);
+
+  /* Changing the initial value alone updates the `changed` flag. */
+  function setInitialValue(next) {
+    if (next === _initialValue) return;
+    _initialValue = next;
+    revalidation.update((n) => n + 1);
+  }
+
+  /* Capture and recall the value, with the initial value, injected
+   * error and interaction flags that `reset` clears, for undo/redo. */
+  const capture = () => ({
+    initialValue: _initialValue,
+    injected: injectedError,
+    interaction: getStoreValue(interaction),
+    value: peekValue(),
+  });
+
+  function recall(captured) {
+    setInitialValue(captured.initialValue);
+    setInjected(captured.injected);
+    interaction.set(captured.interaction);
+    value.set(captured.value);
+  }
+
+  if (isHistoryOwner) history.track(capture, recall);
+
+  const isChanged = (v = peekValue()) => changePred(v, _initialValue);
+
+  /* JSON Patch operations from the initial value, at `pointer`. */
+  const diff = (pointer) =>
+    isChanged() ? [valueOp(pointer, _initialValue, peekValue())] : [];
+
+  /* Serializable state, see `restore`. */
+  const snapshot = () => ({
+    active: getStoreValue(active),
+    initialValue: _initialValue,
+    injected: injectedError,
+    value: peekValue(),
+  });
+
+  function restoreState(snap) {
+    setInitialValue(snap.initialValue);
+    setInjected(snap.injected || null);
+    value.set(snap.value);
+    active.set(!!snap.active);
+  }
+
   async function activate(bool = true) {
+    if (bool && !isEnabled()) return true;
     active.set(bool);
+    revalidate();
+    // Validate a pending (debounced or throttled) value right away
+    flushPending();
     // Let derived subscribers run before reading currPromise
     await Promise.resolve();
     const res = await currPromise;
-    return res.valid;
+    return res.valid && !injectedError;
   }
 
-  async function submit() {
+  /* Validate the current value as an active store would, without
+   * changing any state. Resolves with its formatted error reasons. */
+  async function check() {
+    if (!isEnabled()) return { valid: true, reasons: [] };
+    const $value = peekValue();
+    const toAnswer = (reasons) => ({
+      valid: reasons.length < 1,
+      reasons: reasons.map((reason) =>
+        formatReason(reason, getStoreValue(locale), $value)
+      ),
+    });
+
+    if (injectedError) return toAnswer([injectedError.error]);
+    if ($value === undefined && !required) return toAnswer([]);
+
+    const result = await validateValue($value, context.peekFrom).promise;
+    return toAnswer(
+      result.valid === false ? result.reasons || [result.reason] : []
+    );
+  }
+
+  /* Dry run of `activate`, resolving `{ valid, errors }`. */
+  async function validate() {
+    const { valid, reasons } = await check();
+    const errorPath = id === undefined ? [] : [id];
+    const which = errorPath.join(".");
+    return {
+      valid,
+      errors: reasons.map((error) => ({
+        path: errorPath,
+        pointer: "",
+        which,
+        error,
+      })),
+    };
+  }
+
+  async function submit({ blockOnWarnings = false } = {}) {
     if (!onSubmit) return;
     submitting.set(true);
     try {
       const valid = await activate();
       if (!valid) return false;
+      if (blockOnWarnings && getStoreValue(validation).warning) return false;
 
       const currValue = getStoreValue(value);
       await onSubmit(currValue, mainStore);
@@ -152,23 +479,127 @@ export default function predSpecable(
 
     activate,
 
+    /* Path methods reach into the store value, so that
+     * collections can use them on any of their children. */
+    activateIn(path, bool = true) {
+      return activate(bool);
+    },
+
+    blur: setInteraction("blurred", "blur"),
+
+    clearErrors() {
+      setInjected(null);
+    },
+
+    deleteIn(path) {
+      this.set(dissocPath(toPath(path), peekValue()));
+    },
+
+    /* Value if changed according to `changePred`, otherwise undefined. */
+    getChanges() {
+      return isChanged() ? peekValue() : undefined;
+    },
+
+    getIn(path) {
+      return getPath(toPath(path), peekValue());
+    },
+
+    getPatch() {
+      return diff("");
+    },
+
+    redo: history.redo,
+
     reset(newValue = _initialValue) {
-      _initialValue = newValue;
-      this.activate(false);
-      this.set(newValue);
+      startOver(history, isHistoryOwner, () => {
+        setInitialValue(newValue);
+        setInjected(null);
+        interaction.set(UNTOUCHED);
+        this.activate(false);
+        this.set(newValue);
+      });
     },
 
     set: (newValue, shouldActivate = false) => {
-      value.set(newValue);
+      history.transact(() => {
+        if (
+          injectedError &&
+          injectedError.clearOnChange &&
+          !equals(newValue, peekValue())
+        ) {
+          setInjected(null);
+        }
+        value.set(newValue);
+      });
       if (shouldActivate) activate();
     },
 
+    /* Restore a `snapshot()`, starting a new history. */
+    restore(snap) {
+      startOver(history, isHistoryOwner, () => restoreState(snap));
+      return this;
+    },
+
+    /* Readable store of the subtree at `path`, or its projection by `fn`. */
+    select(path, fn) {
+      return selectSlice(mainStore, path, fn);
+    },
+
+    setIn(path, newValue, shouldActivate = false) {
+      this.set(assocPath(toPath(path), newValue, peekValue()), shouldActivate);
+    },
+
+    /* Show an error that does not come from the spec. Unless
+     * `clearOnChange` is false, it is cleared on next value change. */
+    setError(error, { clearOnChange = true } = {}) {
+      setInjected(isMissing(error) ? null : { error, clearOnChange });
+    },
+
+    /* Same as `setError`, accepting `{ _: error }` for consistency
+     * with collections. */
+    setErrors(errors, options) {
+      const error = isColl(errors) ? get("_", errors) : errors;
+      this.setError(error, options);
+    },
+
+    snapshot,
+
     submit,
 
     subscribe: store.subscribe,
+
+    touch: setInteraction("touched", "change"),
+
+    transaction: history.transact,
+
+    undo: history.undo,
+
+    updateIn(path, fn, shouldActivate = false) {
+      this.setIn(path, fn(this.getIn(path)), shouldActivate);
+    },
+
+    validate,
+
+    validateIn: validate,
+
+    visit: setInteraction("visited"),
+
+    /* Used by a parent collection to capture and recall the tree state. */
+    _capture: capture,
+    _check: check,
+    _diff: diff,
+    _isChanged: isChanged,
+    _isEnabled: isEnabled,
+    /* Used by a parent collection mounting this store (see `combine`). */
+    _mountHistory: history.mount,
+    _recall: recall,
+    _restore: restoreState,
+    /* Used by `persist` to restore a draft without recording it. */
+    _startOver: (fn) => startOver(history, isHistoryOwner, fn),
   };
 
-  return mainStore;
+  /* A change is published once by the batched stores of the tree. */
+  return batchMethods(mainStore, BATCHED_METHODS);
 }
 
 function enhanceResult(res) {
@@ -180,6 +611,52 @@ function enhanceResult(res) {
   };
 }
 
+/**
+ * Combine the results of all rules into one, with the `reasons` of
+ * the failing ones. The result is settled once all of them are.
+ */
+function withReasons(results) {
+  if (results.some(({ valid }) => valid === null)) {
+    return {
+      valid: null,
+      promise: Promise.all(results.map(({ promise }) => promise)).then(
+        withReasons
+      ),
+    };
+  }
+
+  const reasons = results
+    .filter(({ valid }) => valid === false)
+    .map(({ reason }) => reason);
+  const merged =
+    reasons.length > 0
+      ? { valid: false, reason: reasons[0], reasons }
+      : ALWAYS_VALID;
+  return { ...merged, promise: Promise.resolve(merged) };
+}
+
+/**
+ * Merge the result of the `warn` spec into the one of the spec, as its
+ * `warning`. The result is settled once both are.
+ */
+function withWarning(specResult, warnResult) {
+  const isSettled = specResult.valid !== null && warnResult.valid !== null;
+  const merged = {
+    ...specResult,
+    valid: isSettled ? specResult.valid : null,
+    warning: warnResult.valid === false && warnResult.reason,
+  };
+  const promise = isSettled
+    ? Promise.resolve(merged)
+    : Promise.all([
+        specResult.promise,
+        warnResult.promise,
+      ]).then(([resolvedSpec, resolvedWarn]) =>
+        withWarning(resolvedSpec, resolvedWarn)
+      );
+  return { ...merged, promise };
+}
+
 function interpretState({
   active,
   changePred,
@@ -190,16 +667,20 @@ function interpretState({
   value,
 }) {
   const changed = changePred(value, initialValue);
+  const isInvalid = result.valid === false;
   return {
     active,
     changed,
-    error: result.valid === false && result.reason,
+    error: isInvalid && result.reason,
     id,
     initialValue,
+    pending: !!result.pending,
     promise: result.promise || Promise.resolve(result),
+    reasons: isInvalid ? result.reasons || [result.reason] : [],
     submitting,
     valid: !!result.valid,
-    validating: result.valid === null,
+    validating: result.valid === null && !result.pending,
     value: changed ? value : initialValue,
+    warning: result.warning || false,
   };
 }
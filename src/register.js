@@ -6,6 +6,22 @@ import { identity } from "./util";
  * Usage in Svelte: <input use:register="{store}" />
  * Optionally: <input use:register="{[store, { toInput, toValue }]}" />
  *
+ * The element property and event used depend on the element type:
+ * - checkbox: `checked` on "change". When the store value is an array,
+ *   the checkbox toggles the membership of its `value` in the array.
+ * - radio: `checked` on "change". Radios registered to the same store act
+ *   as one group, the store holding the `value` of the checked one.
+ * - select: `value` on "change"; `<select multiple>`: values of its
+ *   `selectedOptions` as an array.
+ * - file: `files` on "change" (only clearing can be written back).
+ * - contenteditable: `textContent` on "input".
+ * - others: `value` on "input".
+ * `toInput` and `toValue` apply on top of these.
+ *
+ * Focus, input and blur events are reported into the store `visited`,
+ * `touched` and `blurred` flags. The store then activates or validates
+ * according to its `validateOn` and `revalidateOn` settings.
+ *
  * The returned object matches Svelte action contract { update, destroy }.
  *
  * @param {HTMLElement} el - the input element
@@ -16,30 +32,41 @@ export default function register(el, storeOrArgs) {
   let args = normalizeArgs(storeOrArgs);
   if (!el || !args.store) return;
 
+  const kind = KINDS[getKind(el)];
+  let currValue;
   let unsub;
   listen();
 
   function blurHandler() {
-    args.store.activate();
+    args.store.blur();
+  }
+
+  function focusHandler() {
+    args.store.visit();
   }
 
-  function inputHandler(e) {
-    args.store.set(args.toValue(e.target.value));
+  function inputHandler() {
+    if (kind.ignore && kind.ignore(el)) return;
+    const rawValue = kind.read(el, args.toInput(currValue));
+    args.store.set(args.toValue(rawValue));
+    args.store.touch();
   }
 
   function listen() {
     unsub = args.store.subscribe(({ value }) => {
-      const elValue = args.toInput(value);
-      if (el.value !== elValue) el.value = elValue;
+      currValue = value;
+      kind.write(el, args.toInput(value));
     });
     el.addEventListener("blur", blurHandler);
-    el.addEventListener("input", inputHandler);
+    el.addEventListener("focus", focusHandler);
+    el.addEventListener(kind.event, inputHandler);
   }
 
   function unlisten() {
     unsub();
     el.removeEventListener("blur", blurHandler);
-    el.removeEventListener("input", inputHandler);
+    el.removeEventListener("focus", focusHandler);
+    el.removeEventListener(kind.event, inputHandler);
   }
 
   return {
@@ -67,3 +94,102 @@ function normalizeArgs(storeOrArgs) {
   const [store, { toInput = identity, toValue = identity } = {}] = storeOrArgs;
   return { store, toInput, toValue };
 }
+
+/**
+ * Determine how an element is bound to its store.
+ * @param {HTMLElement} el
+ * @returns {string} key of KINDS
+ */
+function getKind(el) {
+  if (el.isContentEditable) return "contenteditable";
+
+  const tagName = (el.tagName || "").toLowerCase();
+  if (tagName === "select") return el.multiple ? "selectMultiple" : "select";
+
+  const type = tagName === "input" && el.type;
+  if (["checkbox", "file", "radio"].includes(type)) return type;
+
+  return "value";
+}
+
+/* Add or remove `item` from `arr`, depending on `bool`. */
+function toggleMembership(arr, item, bool) {
+  const without = arr.filter((x) => x !== item);
+  return bool ? [...without, item] : without;
+}
+
+/**
+ * How each kind of element is bound:
+ * - event: name of the event signaling a change
+ * - read(el, current): raw value of the element (current is the input value)
+ * - write(el, inputValue): reflect the store value onto the element
+ * - ignore(el): optional, true if the event should not update the store
+ */
+const KINDS = {
+  checkbox: {
+    event: "change",
+    read: (el, current) =>
+      Array.isArray(current)
+        ? toggleMembership(current, el.value, el.checked)
+        : el.checked,
+    write(el, inputValue) {
+      el.checked = Array.isArray(inputValue)
+        ? inputValue.includes(el.value)
+        : !!inputValue;
+    },
+  },
+
+  contenteditable: {
+    event: "input",
+    read: (el) => el.textContent,
+    write(el, inputValue) {
+      if (el.textContent !== inputValue) el.textContent = inputValue;
+    },
+  },
+
+  file: {
+    event: "change",
+    read: (el) => el.files,
+    write(el, inputValue) {
+      /* Files can't be set programmatically, only cleared. */
+      const isEmpty = !inputValue || inputValue.length < 1;
+      if (isEmpty && el.value) el.value = "";
+    },
+  },
+
+  radio: {
+    event: "change",
+    ignore: (el) => !el.checked,
+    read: (el) => el.value,
+    write(el, inputValue) {
+      el.checked = inputValue === el.value;
+    },
+  },
+
+  select: {
+    event: "change",
+    read: (el) => el.value,
+    write(el, inputValue) {
+      if (el.value !== inputValue) el.value = inputValue;
+    },
+  },
+
+  selectMultiple: {
+    event: "change",
+    read: (el) => Array.from(el.selectedOptions).map(({ value }) => value),
+    write(el, inputValue) {
+      const selected = Array.isArray(inputValue) ? inputValue : [];
+      Array.from(el.options).forEach((option) => {
+        option.selected = selected.includes(option.value);
+      });
+    },
+  },
+
+  value: {
+    event: "input",
+    read: (el) => el.value,
+    write(el, inputValue) {
+      if (el.value !== inputValue) el.value = inputValue;
+    },
+  },
+};
@@ -0,0 +1,59 @@
+import { ensureConfigured, getSpecma } from "./configure";
+import { isMissing } from "./util";
+
+/**
+ * rules.js
+ *
+ * Combine predicate specs into a single predicate that remembers its rules.
+ *
+ * Used as a spec, `rules(a, b, c)` behaves like `and(a, b, c)`: validation
+ * stops at the first failing rule. Stores with the `allReasons` option
+ * validate each rule separately instead, to report all their failures.
+ */
+
+/**
+ * Key under which a combined predicate keeps its rules.
+ * @type {symbol}
+ */
+const RULES = Symbol("rules");
+
+/**
+ * Get the rules of a predicate: those given to `rules(...)`,
+ * or the predicate itself.
+ * @param {Function} pred
+ * @returns {Function[]}
+ */
+export function getRules(pred) {
+  return (pred && pred[RULES]) || [pred];
+}
+
+/**
+ * Rule of required values, failing with the "isRequired" message of Specma
+ * for missing ones (see `isMissing`).
+ * @param {any} x
+ * @returns {true|string}
+ */
+export const reqSpec = (x) =>
+  !isMissing(x) || getSpecma().getMessage("isRequired");
+
+/**
+ * rules
+ *
+ * Example:
+ *   spec: rules(
+ *     (v) => v.length >= 8 || "At least 8 characters",
+ *     (v) => /\d/.test(v) || "At least one digit"
+ *   )
+ *
+ * @param {...any} specs - predicate specs
+ * @returns {Function} a predicate failing with the first failing rule
+ */
+export default function rules(...specs) {
+  ensureConfigured();
+  const preds = specs.map(getSpecma().getPred).filter(Boolean);
+  const combined = preds.length > 0 ? getSpecma().and(...preds) : () => true;
+
+  const rulesPred = (...args) => combined(...args);
+  rulesPred[RULES] = preds;
+  return rulesPred;
+}
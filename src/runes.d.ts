@@ -0,0 +1,93 @@
+import type { CollError, ValidationAdapter, ValidationEvent } from "./index";
+
+export { configure, rules, standardSchemaAdapter } from "./index";
+
+interface SpecableNodeBase<T = unknown> {
+  id: unknown;
+  isRequired: boolean;
+  /** Setting it counts as a user change (see `validateOn`). */
+  value: T;
+  readonly initialValue: T;
+  readonly changed: boolean;
+  readonly error: unknown;
+  /** Errors of the node and its descendants, with paths made of keys. */
+  readonly errors: CollError[];
+  readonly valid: boolean;
+  readonly validating: boolean;
+  readonly submitting: boolean;
+  activate: (bool?: boolean) => Promise<boolean>;
+  reset: (value?: T) => void;
+  /** Set the value without counting it as a user change. */
+  set: (value: T) => void;
+  submit: () => Promise<boolean | undefined>;
+}
+
+export interface SpecableField<T = unknown> extends SpecableNodeBase<T> {
+  readonly active: boolean;
+  readonly blurred: boolean;
+  readonly touched: boolean;
+  readonly visited: boolean;
+  blur: () => void;
+  visit: () => void;
+}
+
+export interface SpecableGroup<T = unknown> extends SpecableNodeBase<T> {
+  /** `true` or `false` when all nodes agree, otherwise `null`. */
+  readonly active: boolean | null;
+  readonly collErrors: CollError[];
+  /** Child nodes: an array for arrays, a Map for Maps, otherwise an object. */
+  readonly fields: SpecableFields<T>;
+  /** Append array items, or merge entries into other collections. */
+  add: (coll: unknown) => void;
+  remove: (key: unknown) => void;
+  /** Only on array groups. Negative indices count from the end. */
+  append: (value: unknown) => void;
+  insert: (index: number, value: unknown) => void;
+  move: (from: number, to: number) => void;
+  removeAt: (index: number) => void;
+}
+
+export type SpecableNode<T = unknown> = SpecableField<T> | SpecableGroup<T>;
+
+/** Node of a value: a group for collections, otherwise a field. */
+export type SpecableNodeOf<T> = T extends
+  | readonly unknown[]
+  | Map<unknown, unknown>
+  | Record<string, unknown>
+  ? SpecableGroup<T>
+  : SpecableField<T>;
+
+/** Child nodes of a group, following the shape of its value. */
+export type SpecableFields<T> = T extends readonly (infer V)[]
+  ? SpecableNodeOf<V>[]
+  : T extends Map<infer K, infer V>
+  ? Map<K, SpecableNodeOf<V>>
+  : T extends Record<string, unknown>
+  ? { [K in keyof T]: SpecableNodeOf<T[K]> }
+  : Record<string, SpecableNode>;
+
+export interface SpecableStateOptions<T = unknown> {
+  adapter?: ValidationAdapter;
+  changePred?: unknown;
+  /** Without `when` conditions nor stores, only supported by `specable`. */
+  fields?: unknown;
+  getId?: unknown;
+  id?: unknown;
+  required?: unknown;
+  spec?: unknown;
+  /** Applies to the whole tree. Defaults to the configured setting. */
+  validateOn?: ValidationEvent;
+  /** Applies to the whole tree. Defaults to the configured setting. */
+  revalidateOn?: ValidationEvent;
+  onSubmit?: (value: T, form: SpecableNode<T>) => unknown | Promise<unknown>;
+}
+
+export function specableState<T extends Record<string, unknown> | unknown[]>(
+  initialValue: T,
+  options?: SpecableStateOptions<T>
+): SpecableGroup<T>;
+
+export function specableState<T = unknown>(
+  initialValue: T,
+  options?: SpecableStateOptions<T>
+): SpecableNode<T>;
@@ -0,0 +1,4 @@
+export { standardSchemaAdapter } from "./adapters";
+export { default as configure } from "./configure";
+export { default as rules } from "./rules";
+export { default as specableState } from "./specableState.svelte.js";
@@ -0,0 +1,58 @@
+import { readable } from "svelte/store";
+import { equals, get, getPath, identity, toPath } from "./util";
+
+/**
+ * select.js
+ *
+ * Readable stores scoped to a subtree of a specable store.
+ *
+ * The selected slice is the status of the store at `path` (found in the
+ * `details` of its ancestors), with its `value` read from the value of the
+ * selecting store, static properties included. Paths without a store give
+ * `{ value }` only. The slice, or its projection by `fn`, is only published
+ * when it isn't deep-equal to the last one.
+ */
+
+/* Status of the descendant of `store` at `path`, if any. */
+function getSubStatus(store, status, path) {
+  return path.reduce(
+    ({ store: parent, status: parentStatus }, key) => {
+      const child =
+        parent && parent.getChildren && get(key, parent.getChildren());
+      const details = parentStatus && parentStatus.details;
+      return child && details
+        ? { store: child, status: details[child.id] }
+        : {};
+    },
+    { store, status }
+  ).status;
+}
+
+/**
+ * select
+ *
+ * Example:
+ *   const zipError = select(form, "address.zip", ({ error }) => error);
+ *
+ * @param {Object} store - specable store
+ * @param {Array|string} [path=[]] - keys from `store`, or a string like "address.zip"
+ * @param {Function} [fn] - projection of the slice
+ * @returns {import('svelte/store').Readable}
+ */
+export default function select(store, path = [], fn = identity) {
+  const segments = toPath(path);
+  let last;
+  let hasLast = false;
+
+  return readable(undefined, (set) =>
+    store.subscribe(($status) => {
+      const subStatus = getSubStatus(store, $status, segments);
+      const value = getPath(segments, $status.value);
+      const next = fn(subStatus ? { ...subStatus, value } : { value });
+      if (hasLast && equals(next, last)) return;
+      last = next;
+      hasLast = true;
+      set(next);
+    })
+  );
+}
@@ -1,4 +1,6 @@
+import { toSchemaNode } from "./adapters";
 import collSpecable from "./collSpecable";
+import persisted from "./persist";
 import predSpecable from "./predSpecable";
 import { isColl, isStore } from "./util";
 
@@ -11,8 +13,12 @@ import { isColl, isStore } from "./util";
  *
  * Behaviour:
  * - If `initialValue` is already a Svelte store, it is returned unchanged.
+ * - If `options.persist` is defined, the store is wrapped to save its draft
+ *   to a storage and restore it on creation (see persist.js).
+ * - If `options.hydrate` is defined, it is restored as a `snapshot()`.
  * - If `options.fields` or `options.spec` (or the `initialValue` itself)
- *   look like a collection, `collSpecable` is used.
+ *   look like a collection, `collSpecable` is used. Specs handled by an
+ *   adapter (e.g. a Standard Schema) don't define the value shape.
  * - Otherwise `predSpecable` is used for single-value (primitive/non-collection)
  *   validation.
  *
@@ -32,8 +38,17 @@ import { isColl, isStore } from "./util";
  */
 export default function specable(initialValue, options = {}, _extra) {
   if (isStore(initialValue)) return initialValue;
+  if (options.persist) return persisted(specable, ...arguments);
 
-  const collCandidate = options.fields || options.spec || initialValue;
+  if (options.hydrate) {
+    const { hydrate, ...storeOptions } = options;
+    return specable(initialValue, storeOptions, _extra).restore(hydrate);
+  }
+
+  const ownSpec = toSchemaNode(options.spec, options.adapter)
+    ? undefined
+    : options.spec;
+  const collCandidate = options.fields || ownSpec || initialValue;
 
   if (isColl(collCandidate)) {
     return collSpecable(initialValue, options, { ..._extra, specable });
@@ -0,0 +1,692 @@
+import { fromStore } from "svelte/store";
+import { childSchemaNode, schemaPred, toSchemaNode } from "./adapters";
+import { ALWAYS_VALID } from "./constants";
+import { ensureConfigured, getSettings, getSpecma } from "./configure";
+import { reqSpec } from "./rules";
+import {
+  countPathAncestors,
+  createAbortController,
+  defaultChangePred,
+  dissoc,
+  entries,
+  equals,
+  fromEntries,
+  genRandomId,
+  get,
+  getPathValues,
+  isColl,
+  isFunc,
+  isStore,
+  keepForwardPath,
+  keys,
+  merge,
+  toCollType,
+  values,
+} from "./util";
+
+/**
+ * specableState.svelte.js
+ *
+ * Runes counterpart of `specable`, for Svelte 5 components.
+ *
+ * The state is made of nodes: fields for single values and groups for
+ * collections (objects, arrays, Maps). Their properties (`value`, `error`,
+ * `errors`, `valid`, ...) are `$state` and `$derived` values, so that reading
+ * them in a component only depends on the nodes they come from: a keystroke
+ * in a field only updates that field and the aggregates of its ancestors.
+ *
+ * Validation follows the same rules as the stores: Specma specs (or specs
+ * handled by an adapter), `required`, async predicates (aborted when
+ * replaced), relative or absolute `getFrom` paths, `validateOn`,
+ * `revalidateOn`, `getId` and `onSubmit(value, form)`. Debounce, throttle,
+ * history, warnings, `when` conditions and persistence are only available on
+ * stores: `fields` with `when` conditions or stores are rejected.
+ */
+
+const alwaysTrue = () => true;
+
+/* Result of a validation aborted by a newer one. */
+const ABORTED = { valid: null };
+
+/**
+ * specableState
+ *
+ * Example:
+ *   const form = specableState(
+ *     { name: "", emails: [""] },
+ *     { required: { name: true }, spec: { emails: spread(isEmail) }, onSubmit }
+ *   );
+ *
+ *   <input bind:value={form.fields.name.value} onblur={form.fields.name.blur} />
+ *   {#each form.fields.emails.fields as email (email.id)}
+ *     <input bind:value={email.value} />
+ *   {/each}
+ *
+ * Parameters:
+ * - initialValue: initial value (collection or single value)
+ * - options: `changePred`, `fields`, `adapter`, `getId`, `required`, `spec`,
+ *   `validateOn`, `revalidateOn`, `onSubmit`, with the same meaning as for
+ *   `specable`
+ *
+ * Returns a field or a group node (see `createField` and `createGroup`).
+ */
+export default function specableState(initialValue, options = {}) {
+  ensureConfigured();
+  const locale = getSettings().locale
+    ? fromStore(getSettings().locale)
+    : undefined;
+  return createNode(initialValue, options, { locale });
+}
+
+function createNode(initialValue, options, context) {
+  const { adapter, fields, spec } = options;
+  const ownSpec = toSchemaNode(spec, adapter) ? undefined : spec;
+  const collCandidate = fields || ownSpec || initialValue;
+
+  return isColl(collCandidate)
+    ? createGroup(initialValue, options, context)
+    : createField(initialValue, options, context);
+}
+
+/**
+ * Create a `getFrom(path)` function reading values of the tree from a node's
+ * parent: one ancestor up per "../", or the root for "/" paths. Values are
+ * read from `$derived` ones, so validations depending on them are tracked.
+ */
+function createGetFrom(context) {
+  return function getFrom(relPath) {
+    const depth = relPath.startsWith("/")
+      ? Infinity
+      : countPathAncestors(relPath);
+
+    let ancestor = context.parent;
+    for (let n = 1; n < depth && ancestor && ancestor._parent; n += 1) {
+      ancestor = ancestor._parent;
+    }
+    if (!ancestor) return undefined;
+    return getPathValues(keepForwardPath(relPath), ancestor.value);
+  };
+}
+
+/**
+ * Create the validation of a node's own value.
+ *
+ * The result is computed when read. A pending (async) result is replaced by
+ * its resolved one, unless the validation has been recomputed meanwhile, in
+ * which case its predicates get an aborted `signal`.
+ */
+function createCheck(ownSpec, { getValue, isActive, isRequired, getFrom }) {
+  let settled = $state.raw();
+  let controller;
+
+  const current = $derived.by(() => {
+    if (controller) controller.abort();
+    controller = undefined;
+
+    const value = getValue();
+    if (!isActive() || (value === undefined && !isRequired)) {
+      return ALWAYS_VALID;
+    }
+
+    controller = createAbortController();
+    const signal = controller && controller.signal;
+    const result = getSpecma().validatePred(ownSpec, value, getFrom, {
+      signal,
+    });
+    if (result.valid !== null) return result;
+
+    const pending = {
+      ...result,
+      promise: result.promise.catch((err) => {
+        if (signal && signal.aborted) return ABORTED;
+        throw err;
+      }),
+    };
+    pending.promise.then((resolved) => {
+      if (resolved !== ABORTED) settled = { of: pending, result: resolved };
+    });
+    return pending;
+  });
+
+  const result = $derived(
+    current.valid === null && settled && settled.of === current
+      ? settled.result
+      : current
+  );
+
+  return {
+    get result() {
+      return result;
+    },
+
+    /* Resolve with the validity of the current value. */
+    async settle() {
+      const res = current;
+      const resolved = res.valid === null ? await res.promise : res;
+      /* An aborted validation follows the one that replaced it. */
+      return resolved === ABORTED ? this.settle() : !!resolved.valid;
+    },
+  };
+}
+
+/**
+ * Render a failure reason with the configured `formatError`.
+ */
+function formatReason(reason, node, context) {
+  const { formatError } = getSettings();
+  if (!formatError) return reason;
+
+  return formatError(reason, {
+    id: node.id,
+    locale: context.locale && context.locale.current,
+    path: node._getPath(),
+    value: node.value,
+  });
+}
+
+/* Prefix an error of a child with its key. */
+const liftError = (key) => ({ path, ...rest }) => {
+  const newPath = [key, ...path];
+  return { ...rest, path: newPath, which: newPath.join(".") };
+};
+
+/**
+ * createField
+ *
+ * Node of a single value, with:
+ * - value (bindable: setting it counts as a user change), initialValue
+ * - active, blurred, touched, visited, changed
+ * - error, errors, valid, validating, submitting
+ * - set(value), reset(value), activate(bool), blur(), visit(), submit()
+ *
+ * Like stores, the changes of an active field are only validated on the
+ * `revalidateOn` event, keeping the result of the last validated value.
+ */
+function createField(initialValue, options, context) {
+  const {
+    adapter,
+    changePred = defaultChangePred,
+    id = genRandomId(),
+    required,
+    revalidateOn = getSettings().revalidateOn,
+    spec,
+    validateOn = getSettings().validateOn,
+    onSubmit,
+  } = options;
+  const { and, getPred } = getSpecma();
+
+  const schema = toSchemaNode(spec, adapter);
+  const pred = (schema ? schemaPred(schema) : getPred(spec)) || alwaysTrue;
+  const isRequired = !!required;
+  const ownSpec = isRequired ? and(reqSpec, pred) : pred;
+
+  let value = $state.raw(initialValue);
+  /* Last value to validate, see `revalidateOn`. */
+  let checkedValue = $state.raw(initialValue);
+  let initial = $state.raw(initialValue);
+  let active = $state(false);
+  let blurred = $state(false);
+  let touched = $state(false);
+  let visited = $state(false);
+  let submitting = $state(false);
+
+  const check = createCheck(ownSpec, {
+    getFrom: createGetFrom(context),
+    getValue: () => checkedValue,
+    isActive: () => active,
+    isRequired,
+  });
+
+  const changed = $derived(changePred(value, initial));
+  const error = $derived(
+    check.result.valid === false
+      ? formatReason(check.result.reason, node, context)
+      : false
+  );
+  const errors = $derived(error ? [{ path: [], which: "", error }] : []);
+
+  function revalidate() {
+    checkedValue = value;
+  }
+
+  function setValue(newValue) {
+    value = newValue;
+    if (!active || revalidateOn === "change") revalidate();
+  }
+
+  async function activate(bool = true) {
+    active = bool;
+    revalidate();
+    return check.settle();
+  }
+
+  async function submit() {
+    if (!onSubmit) return undefined;
+    submitting = true;
+    try {
+      const valid = await activate();
+      if (!valid) return false;
+      await onSubmit(value, node);
+      return true;
+    } finally {
+      submitting = false;
+    }
+  }
+
+  const node = {
+    id,
+    isRequired,
+
+    get value() {
+      return value;
+    },
+    set value(newValue) {
+      setValue(newValue);
+      touched = true;
+      if (validateOn === "change") active = true;
+    },
+
+    get initialValue() {
+      return initial;
+    },
+    get active() {
+      return active;
+    },
+    get blurred() {
+      return blurred;
+    },
+    get touched() {
+      return touched;
+    },
+    get visited() {
+      return visited;
+    },
+    get changed() {
+      return changed;
+    },
+    get error() {
+      return error;
+    },
+    get errors() {
+      return errors;
+    },
+    get valid() {
+      return check.result.valid === true;
+    },
+    get validating() {
+      return check.result.valid === null;
+    },
+    get submitting() {
+      return submitting;
+    },
+
+    activate,
+
+    blur() {
+      blurred = true;
+      if (validateOn === "blur") active = true;
+      if (revalidateOn === "blur") revalidate();
+    },
+
+    reset(newValue = initial) {
+      initial = newValue;
+      active = false;
+      setValue(newValue);
+      blurred = false;
+      touched = false;
+      visited = false;
+    },
+
+    set: setValue,
+
+    submit,
+
+    visit() {
+      visited = true;
+    },
+
+    _getPath: () => (context.parent ? context.parent._pathOf(node) : []),
+    _parent: context.parent,
+  };
+
+  return node;
+}
+
+/**
+ * createGroup
+ *
+ * Node of a collection, with the same properties as a field, plus:
+ * - fields: child nodes, by key (an array for arrays, a Map for Maps)
+ * - errors: errors of the whole subtree `{ path, which, error, isColl? }`,
+ *   paths being made of keys; collErrors: errors of collections
+ * - valid: own value and all children are valid
+ * - active: true or false when all nodes agree, otherwise null
+ * - add(coll), remove(key), and for arrays: append, insert, move, removeAt
+ *
+ * Children are created like in `collSpecable`: from keys of `fields`, `spec`
+ * and `required`, and from all value keys with a spread (always for arrays).
+ * Array children keep their node (and `id`, for keyed `each` blocks) when
+ * moved.
+ */
+function createGroup(initialValue, options, context) {
+  const {
+    adapter,
+    changePred,
+    fields,
+    getId,
+    id = genRandomId(),
+    required,
+    revalidateOn,
+    spec,
+    validateOn = getSettings().validateOn,
+    onSubmit,
+  } = options;
+  const { and, getPred, getSpread, isOpt } = getSpecma();
+  checkFields(fields);
+
+  const schema = toSchemaNode(spec, adapter);
+  const collSpec = schema ? undefined : spec;
+  const collType = toCollType(initialValue, [fields, collSpec]);
+  const isArray = collType === "array";
+  const isRequired = required && !isOpt(required);
+  const spreadSpec = getSpread(collSpec);
+  const spreadFields = getSpread(fields);
+  const spreadRequired = getSpread(required);
+  const spreadGetId = getSpread(getId);
+  const ownGetId = getPred(getId);
+  const isSpread =
+    schema ||
+    spreadSpec ||
+    spreadFields ||
+    spreadRequired ||
+    spreadGetId ||
+    isArray;
+  const staticKeys = [
+    ...new Set(fields ? keys(fields) : [...keys(collSpec), ...keys(required)]),
+  ].filter((key) => key !== "...");
+
+  const ownChangePred = getPred(changePred) || defaultChangePred;
+
+  /* Schema issues without child node are the group ones. */
+  const isOwnIssue = ([key]) =>
+    key === undefined || !children.some(([k]) => equals(k, key));
+
+  const ownPred =
+    (schema ? schemaPred(schema, isOwnIssue) : getPred(collSpec)) || alwaysTrue;
+  const ownSpec = isRequired ? and(reqSpec, ownPred) : ownPred;
+
+  /* `base` holds the value entries without child node. */
+  let base = $state.raw(initialValue);
+  let initial = $state.raw(initialValue);
+  let isUndef = $state(initialValue === undefined);
+  let ownActive = $state(false);
+  let submitting = $state(false);
+  let children = $state.raw([]);
+
+  const childContext = { ...context };
+
+  function createChild(key, childValue) {
+    let child;
+    const childSpec = schema
+      ? childSchemaNode(schema, () => keyOf(child))
+      : get(key, collSpec) || spreadSpec;
+
+    child = createNode(
+      childValue,
+      {
+        changePred: get(key, changePred) || getSpread(changePred),
+        fields: get(key, fields) || spreadFields,
+        getId: get(key, getId) || spreadGetId,
+        id: ownGetId ? ownGetId(childValue, key) : undefined,
+        required: get(key, required) || spreadRequired,
+        revalidateOn,
+        spec: childSpec,
+        validateOn,
+      },
+      childContext
+    );
+    return child;
+  }
+
+  /* Array keys are indices, following the order of nodes. */
+  const reindex = (nodeEntries) =>
+    isArray ? nodeEntries.map(([, child], i) => [i, child]) : nodeEntries;
+
+  const keyOf = (child) => {
+    const found = children.find(([, c]) => c === child);
+    return found && found[0];
+  };
+
+  /* Set a value, reusing nodes of existing keys. */
+  function apply(newValue, isReset) {
+    isUndef = newValue === undefined;
+    base = newValue;
+    const valueKeys = isSpread ? keys(newValue) : [];
+    const nextKeys = [...new Set([...staticKeys, ...valueKeys])];
+
+    children = nextKeys.map((key) => {
+      const found = children.find(([k]) => equals(k, key));
+      const subValue = get(key, newValue);
+      if (!found) return [key, createChild(key, subValue)];
+
+      const child = found[1];
+      if (isReset) child.reset(subValue);
+      else child.set(subValue);
+      return [key, child];
+    });
+  }
+
+  const value = $derived.by(() => {
+    if (isUndef) return undefined;
+    const childKeys = children.map(([key]) => key);
+    const baseEntries = isArray
+      ? []
+      : entries(base).filter(([key]) => !childKeys.includes(key));
+    const childEntries = children.map(([key, child]) => [key, child.value]);
+    return fromEntries([...baseEntries, ...childEntries], collType);
+  });
+
+  const check = createCheck(ownSpec, {
+    getFrom: createGetFrom(context),
+    getValue: () => value,
+    isActive: () => ownActive,
+    isRequired: !!isRequired,
+  });
+
+  const fieldsByKey = $derived.by(() => {
+    const nodes = children.map(([key, child]) => [key, child]);
+    if (isArray) return nodes.map(([, child]) => child);
+    return fromEntries(nodes, collType === "map" ? "map" : "object");
+  });
+
+  const changed = $derived(ownChangePred(value, initial));
+
+  const error = $derived(
+    check.result.valid === false
+      ? formatReason(check.result.reason, group, context)
+      : false
+  );
+
+  const errors = $derived([
+    ...(error ? [{ path: [], which: "", error, isColl: true }] : []),
+    ...children.flatMap(([key, child]) => child.errors.map(liftError(key))),
+  ]);
+
+  const collErrors = $derived(errors.filter(({ isColl }) => isColl));
+
+  const active = $derived.by(() => {
+    const flags = [ownActive, ...children.map(([, child]) => child.active)];
+    return flags.every((flag) => flag === flags[0]) ? flags[0] : null;
+  });
+
+  const valid = $derived(
+    check.result.valid === true && children.every(([, child]) => child.valid)
+  );
+
+  const validating = $derived(
+    check.result.valid === null ||
+      children.some(([, child]) => child.validating)
+  );
+
+  async function activate(bool = true) {
+    ownActive = bool;
+    const results = await Promise.all([
+      check.settle(),
+      ...children.map(([, child]) => child.activate(bool)),
+    ]);
+    return results.every(Boolean);
+  }
+
+  async function submit() {
+    if (!onSubmit) return undefined;
+    submitting = true;
+    try {
+      const isValid = await activate();
+      if (!isValid) return false;
+      await onSubmit(value, group);
+      return true;
+    } finally {
+      submitting = false;
+    }
+  }
+
+  function arrayOnly(name) {
+    if (!isArray) {
+      throw new TypeError(`'${name}' can only be used on array groups`);
+    }
+  }
+
+  /* Array methods accept negative indices, counting from the end. */
+  const toIndex = (index, length = children.length) =>
+    index < 0 ? length + index : index;
+
+  const group = {
+    id,
+    isRequired: !!isRequired,
+
+    get value() {
+      return value;
+    },
+    set value(newValue) {
+      apply(newValue, false);
+    },
+
+    get initialValue() {
+      return initial;
+    },
+    get fields() {
+      return fieldsByKey;
+    },
+    get active() {
+      return active;
+    },
+    get changed() {
+      return changed;
+    },
+    get error() {
+      return error;
+    },
+    get errors() {
+      return errors;
+    },
+    get collErrors() {
+      return collErrors;
+    },
+    get valid() {
+      return valid;
+    },
+    get validating() {
+      return validating;
+    },
+    get submitting() {
+      return submitting;
+    },
+
+    activate,
+
+    /* Append array items, or merge entries into other collections. */
+    add(coll) {
+      if (!isArray) {
+        apply(merge(value, coll), false);
+        return;
+      }
+      const added = values(coll).map((v, i) => [
+        children.length + i,
+        createChild(children.length + i, v),
+      ]);
+      isUndef = false;
+      children = [...children, ...added];
+    },
+
+    remove(key) {
+      base = isArray ? base : dissoc(key, base);
+      children = reindex(children.filter(([k]) => !equals(k, key)));
+    },
+
+    append(newValue) {
+      arrayOnly("append");
+      this.insert(children.length, newValue);
+    },
+
+    insert(index, newValue) {
+      arrayOnly("insert");
+      const at = toIndex(index, children.length + 1);
+      const entry = [at, createChild(at, newValue)];
+      isUndef = false;
+      children = reindex([
+        ...children.slice(0, at),
+        entry,
+        ...children.slice(at),
+      ]);
+    },
+
+    move(from, to) {
+      arrayOnly("move");
+      const next = [...children];
+      const [moved] = next.splice(toIndex(from), 1);
+      next.splice(toIndex(to), 0, moved);
+      children = reindex(next);
+    },
+
+    removeAt(index) {
+      arrayOnly("removeAt");
+      this.remove(toIndex(index));
+    },
+
+    reset(newValue = initial) {
+      initial = newValue;
+      apply(newValue, true);
+      ownActive = false;
+    },
+
+    set(newValue) {
+      apply(newValue, false);
+    },
+
+    submit,
+
+    _getPath: () => (context.parent ? context.parent._pathOf(group) : []),
+    _parent: context.parent,
+    _pathOf: (child) => [...group._getPath(), keyOf(child)],
+  };
+
+  childContext.parent = group;
+  apply(initialValue, false);
+  return group;
+}
+
+/**
+ * Reject `fields` written for stores only: `when` conditions and existing
+ * stores to mount, which nodes would otherwise take for children.
+ */
+function checkFields(fields) {
+  if (!isColl(fields)) return;
+  if (isFunc(get("when", fields))) {
+    throw new TypeError("'when' conditions are only supported by stores");
+  }
+  entries(fields).forEach(([key, node]) => {
+    if (isStore(node)) {
+      throw new TypeError(`'fields.${key}' can't be a store in specableState`);
+    }
+  });
+}
@@ -2,15 +2,18 @@
  * util.js
  *
  * Small utility helpers used throughout the library.
- * - Type/shape inspectors: typeOf, isColl, isFunc, isStore
+ * - Type/shape inspectors: typeOf, isColl, isFunc, isMissing, isStore
  * - Collection helpers: entries, fromEntries, values, keys, merge
- * - Generic helpers: identity, genRandomId, get, getPath, keepForwardPath
- * - Equality: equals (uses fast-deep-equal) with normalization for Dates and collections
+ * - Generic helpers: identity, genRandomId, get, getPath, keepForwardPath, toPath
+ * - Immutable updates: assoc, assocPath, dissoc, dissocPath
+ * - Equality: equals (uses fast-deep-equal, with Maps) with normalization for Dates and collections,
+ *   and defaultChangePred, the default `changePred` of the stores
+ * - createAbortController, when available
  *
  * Functions include JSDoc for in-editor hints and to clarify expected inputs/outputs.
  */
 
-import fastEquals from "fast-deep-equal";
+import fastEquals from "fast-deep-equal/es6";
 
 /**
  * Identity function.
@@ -34,6 +37,13 @@ export const isColl = (x) => ["array", "map", "object"].includes(typeOf(x));
  */
 export const isFunc = (x) => typeof x === "function";
 
+/**
+ * Check whether a value is missing: undefined, null or an empty string.
+ * @param {any} x
+ * @returns {boolean}
+ */
+export const isMissing = (x) => [undefined, null, ""].includes(x);
+
 /**
  * Heuristic to detect Svelte stores (object with a subscribe function).
  * @param {any} x
@@ -50,6 +60,18 @@ export const isStore = (x) => x && x.subscribe && isFunc(x.subscribe);
 export const typeOf = (obj) =>
   ({}.toString.call(obj).split(" ")[1].slice(0, -1).toLowerCase());
 
+/**
+ * Type of a collection ("array", "map" or "object"): the one of its value,
+ * or without one, of the first definer (`fields`, `spec`) that is a
+ * collection. A spread spec, being array-like, defines an array.
+ * @param {any} value
+ * @param {Array<any>} definers
+ * @returns {string}
+ */
+export function toCollType(value, definers) {
+  return typeOf([value, ...definers].find(isColl));
+}
+
 /**
  * Get entries from a collection in a uniform [key, value] format.
  * Supports arrays, maps and objects.
@@ -152,11 +174,13 @@ export function merge(...args) {
 }
 
 /**
- * Generate a short numeric random id (string).
+ * Generate a short random id (string).
+ * The id is prefixed so that it is not integer-like: objects keyed by such
+ * ids (e.g. status `details`) keep their insertion order.
  * @returns {string}
  */
 export function genRandomId() {
-  return (Math.random() * 1e9).toFixed(0);
+  return `id${(Math.random() * 1e9).toFixed(0)}`;
 }
 
 /**
@@ -185,6 +209,106 @@ export function getPath(path = [], value) {
   return path.reduce((parent, key) => get(key, parent), value);
 }
 
+/**
+ * Like `getPath`, where "*" segments match every entry of a collection.
+ * With wildcards, returns a flat array of the matched values.
+ *
+ * Example: getPathValues(["*", "q"], [{ q: 1 }, { q: 2 }]) -> [1, 2]
+ *
+ * @param {Array<string|number>} [path=[]]
+ * @param {any} value
+ * @returns {any}
+ */
+export function getPathValues(path = [], value) {
+  const index = path.indexOf("*");
+  if (index < 0) return getPath(path, value);
+
+  const rest = path.slice(index + 1);
+  return values(getPath(path.slice(0, index), value)).flatMap((entry) => {
+    const matched = getPathValues(rest, entry);
+    return rest.includes("*") ? matched : [matched];
+  });
+}
+
+/**
+ * Return a copy of a collection (array, map, object) with `key` set to `value`.
+ * When `coll` is not a collection, a new one is created: an array for
+ * numeric keys, an object otherwise.
+ * @param {string|number} key
+ * @param {any} value
+ * @param {Array|Map|Object} coll
+ * @returns {Array|Map|Object}
+ */
+export function assoc(key, value, coll) {
+  const fn = {
+    array: () => {
+      const copy = [...coll];
+      copy[key] = value;
+      return copy;
+    },
+    map: () => new Map(coll).set(key, value),
+    object: () => ({ ...coll, [key]: value }),
+  }[typeOf(coll)];
+
+  if (fn) return fn();
+  return assoc(key, value, typeof key === "number" ? [] : {});
+}
+
+/**
+ * Return a copy of a nested value with `value` set at `path`,
+ * creating missing intermediate collections.
+ * @param {Array<string|number>} path
+ * @param {any} value
+ * @param {any} coll
+ * @returns {any}
+ */
+export function assocPath(path, value, coll) {
+  if (path.length < 1) return value;
+  const [key, ...rest] = path;
+  return assoc(key, assocPath(rest, value, get(key, coll)), coll);
+}
+
+/**
+ * Return a copy of a collection without `key`.
+ * Array items after `key` are shifted.
+ * @param {string|number} key
+ * @param {Array|Map|Object} coll
+ * @returns {Array|Map|Object}
+ */
+export function dissoc(key, coll) {
+  const fn = {
+    array: () => coll.filter((v, i) => i !== key),
+    map: () => {
+      const copy = new Map(coll);
+      copy.delete(key);
+      return copy;
+    },
+    object: () => {
+      const { [key]: removed, ...rest } = coll;
+      return rest;
+    },
+  }[typeOf(coll)];
+
+  return fn ? fn() : coll;
+}
+
+/**
+ * Return a copy of a nested value without the entry at `path`.
+ * Missing intermediate collections leave the value unchanged.
+ * @param {Array<string|number>} path
+ * @param {any} coll
+ * @returns {any}
+ */
+export function dissocPath(path, coll) {
+  if (path.length < 1) return undefined;
+  const [key, ...rest] = path;
+  if (rest.length < 1) return dissoc(key, coll);
+
+  const child = get(key, coll);
+  if (!isColl(child)) return coll;
+  return assoc(key, dissocPath(rest, child), coll);
+}
+
 /**
  * Count occurrences of "../" or terminal ".." segments in a path-like string.
  * Used to detect ancestor references.
@@ -213,6 +337,43 @@ export function keepForwardPath(str = "") {
   }, []);
 }
 
+/**
+ * Normalize a path given either as an array of segments or as a string.
+ * Strings accept "/" and "." separators as well as bracket segments, and are
+ * parsed into segments the same way as `keepForwardPath`.
+ *
+ * Example: "presets.0.quantity", "presets/0/quantity" and "presets[0][quantity]"
+ *          -> ["presets", 0, "quantity"]
+ *
+ * @param {Array<string|number>|string|number} [path=[]]
+ * @returns {Array<string|number>}
+ */
+export function toPath(path = []) {
+  if (Array.isArray(path)) return path;
+  return keepForwardPath(
+    String(path)
+      .replace(/\[([^\]]*)\]/g, "/$1")
+      .replace(/\./g, "/")
+  );
+}
+
+/**
+ * Convert a path to a JSON Pointer (RFC 6901), escaping "~" and "/".
+ *
+ * Example: ["presets", 0, "a/b"] -> "/presets/0/a~1b"
+ *
+ * @param {Array<string|number>|string} [path=[]]
+ * @returns {string}
+ */
+export function toPointer(path = []) {
+  return toPath(path)
+    .map(
+      (segment) =>
+        `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`
+    )
+    .join("");
+}
+
 /**
  * Equality check that normalizes inputs before using deep equality.
  * - Dates are compared by valueOf()
@@ -228,6 +389,21 @@ export function equals(a, b, eqBy = defaultEqBy) {
   return _a === _b || fastEquals(_a, _b);
 }
 
+/**
+ * Default `changePred`: a value is changed unless equal to the initial one.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export const defaultChangePred = (a, b) => !equals(a, b);
+
+/**
+ * Create an AbortController, or return undefined where not available.
+ * @returns {AbortController|undefined}
+ */
+export const createAbortController = () =>
+  typeof AbortController === "function" ? new AbortController() : undefined;
+
 /**
  * Default normalizer used by equals.
  * - Dates -> numeric value
@@ -252,11 +428,9 @@ function defaultEqBy(x) {
 function removeUndefined(x) {
   if (!isColl(x)) return x;
   return fromEntries(
-    entries(x).reduce(
-      (acc, [key, val]) =>
-        val === undefined ? acc : [...acc, [key, removeUndefined(val)]],
-      []
-    ),
+    entries(x)
+      .filter(([, val]) => val !== undefined)
+      .map(([key, val]) => [key, removeUndefined(val)]),
     typeOf(x)
   );
 }
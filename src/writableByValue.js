@@ -1,5 +1,5 @@
 import { writable } from "svelte/store";
-import equals from "fast-deep-equal";
+import equals from "fast-deep-equal/es6";
 
 /**
  * Writable store that avoids updates when new value is deep-equal to current.